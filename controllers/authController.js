@@ -0,0 +1,100 @@
+// server/controllers/authController.js
+import { Organization, User } from "../models.js";
+import {
+  hashPassword,
+  isValidPassword,
+  signToken,
+  verifyPassword,
+} from "../services/authService.js";
+
+// Public registration only ever creates patients, in the organization
+// named by its slug
+export const register = async (req, res, next) => {
+  const { email, password, name, organization: slug } = req.body;
+
+  if (typeof email !== "string" || !email || !isValidPassword(password)) {
+    return res.status(400).json({
+      success: false,
+      message: "Email and a password of at least 8 characters are required",
+    });
+  }
+  if (typeof slug !== "string" || !slug) {
+    return res.status(400).json({
+      success: false,
+      message: "organization is required",
+    });
+  }
+
+  try {
+    const organization = await Organization.findOne({
+      slug: slug.toLowerCase(),
+    });
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown organization",
+      });
+    }
+
+    const user = new User({
+      organization: organization._id,
+      email,
+      name,
+      role: "patient",
+      passwordHash: await hashPassword(password),
+    });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      token: signToken(user),
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const login = async (req, res, next) => {
+  const { email, password } = req.body;
+
+  if (
+    typeof email !== "string" ||
+    typeof password !== "string" ||
+    !email ||
+    !password
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Email and password are required",
+    });
+  }
+
+  try {
+    const user = await User.findOne({
+      email: email.toLowerCase(),
+    }).select("+passwordHash");
+
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    res.json({
+      success: true,
+      token: signToken(user),
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCurrentUser = (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+  });
+};
@@ -0,0 +1,178 @@
+// server/controllers/fhirController.js
+// FHIR R4 export of completed results. Errors are OperationOutcome
+// resources, as FHIR clients expect.
+import { once } from "events";
+import mongoose from "mongoose";
+import { SRTResult } from "../models.js";
+import {
+  canAccessPatient,
+  canAccessResult,
+  organizationScope,
+  resultScopeFor,
+} from "../services/accessService.js";
+import {
+  FHIR_CONTENT_TYPE,
+  FHIR_NDJSON_CONTENT_TYPE,
+  FHIR_RESOURCE_TYPES,
+  toFhirBundle,
+  toFhirDiagnosticReport,
+  toFhirObservation,
+  toFhirResources,
+} from "../services/fhirService.js";
+
+const operationOutcome = (res, status, code, diagnostics) =>
+  res
+    .status(status)
+    .type(FHIR_CONTENT_TYPE)
+    .json({
+      resourceType: "OperationOutcome",
+      issue: [{ severity: "error", code, diagnostics }],
+    });
+
+// Root the API is served under, for absolute references
+const apiBaseUrl = (req) =>
+  process.env.PUBLIC_API_URL ||
+  `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+
+/**
+ * Load a completed result the current user may see, or reply with an
+ * OperationOutcome and resolve null
+ */
+const findExportableResult = async (req, res) => {
+  const { id } = req.params;
+  const result =
+    mongoose.isValidObjectId(id) &&
+    (await SRTResult.findOne({ _id: id, ...organizationScope(req.user) }));
+
+  if (!result || !(await canAccessResult(req.user, result))) {
+    operationOutcome(res, 404, "not-found", "Report not found");
+    return null;
+  }
+  if (result.processingStatus !== "completed") {
+    operationOutcome(res, 409, "conflict", "Report is not ready yet");
+    return null;
+  }
+  return result;
+};
+
+const sendResource = (res, resource) =>
+  res.type(FHIR_CONTENT_TYPE).json(resource);
+
+// DiagnosticReport and Observation of one report as a collection Bundle
+export const getFhirBundle = async (req, res, next) => {
+  try {
+    const result = await findExportableResult(req, res);
+    if (!result) return;
+
+    sendResource(res, toFhirBundle(result, { baseUrl: apiBaseUrl(req) }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFhirObservation = async (req, res, next) => {
+  try {
+    const result = await findExportableResult(req, res);
+    if (!result) return;
+
+    sendResource(res, toFhirObservation(result));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFhirDiagnosticReport = async (req, res, next) => {
+  try {
+    const result = await findExportableResult(req, res);
+    if (!result) return;
+
+    sendResource(
+      res,
+      toFhirDiagnosticReport(result, { baseUrl: apiBaseUrl(req) })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Bulk export in the style of the FHIR $export operation, streamed as
+ * NDJSON. Query: patient, from and to (test date), _type (comma separated).
+ */
+export const exportFhir = async (req, res, next) => {
+  const { patient } = req.query;
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  const types = req.query._type
+    ? String(req.query._type).split(",")
+    : FHIR_RESOURCE_TYPES;
+
+  if (from === null || to === null) {
+    return operationOutcome(res, 400, "invalid", "from and to must be dates");
+  }
+  if (!types.every((type) => FHIR_RESOURCE_TYPES.includes(type))) {
+    return operationOutcome(
+      res,
+      400,
+      "not-supported",
+      `_type supports: ${FHIR_RESOURCE_TYPES.join(", ")}`
+    );
+  }
+
+  try {
+    const query = {
+      ...(await resultScopeFor(req.user)),
+      processingStatus: "completed",
+    };
+    if (patient !== undefined) {
+      if (
+        !mongoose.isValidObjectId(patient) ||
+        !(await canAccessPatient(req.user, patient))
+      ) {
+        return operationOutcome(res, 404, "not-found", "Patient not found");
+      }
+      // Kept inside the caller's scope, which may already limit owners
+      query.$and = [{ owner: patient }];
+    }
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = from;
+      if (to) query.timestamp.$lte = to;
+    }
+
+    const baseUrl = apiBaseUrl(req);
+    res.type(FHIR_NDJSON_CONTENT_TYPE);
+
+    // A client leaving mid-export never drains the response, stop instead
+    const disconnected = new AbortController();
+    res.on("close", () => disconnected.abort());
+
+    const cursor = SRTResult.find(query).sort({ timestamp: 1 }).cursor();
+    try {
+      for await (const result of cursor) {
+        for (const resource of toFhirResources(result, types, { baseUrl })) {
+          if (!res.write(`${JSON.stringify(resource)}\n`)) {
+            await once(res, "drain", { signal: disconnected.signal });
+          }
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+    res.end();
+  } catch (error) {
+    if (error.name === "AbortError") return;
+    // Headers are gone once streaming started
+    if (res.headersSent) {
+      console.error("FHIR export failed:", error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
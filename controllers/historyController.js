@@ -0,0 +1,60 @@
+// server/controllers/historyController.js
+import mongoose from "mongoose";
+import { SRTResult } from "../models.js";
+import {
+  canAccessPatient,
+  organizationScope,
+} from "../services/accessService.js";
+import { finalScores } from "../services/reviewService.js";
+import { computeTrends } from "../services/trendService.js";
+
+// Trends follow the clinician-final scores where a review changed them
+const toSession = (result) => {
+  const scores = finalScores(result);
+  return {
+    reportId: result._id,
+    timestamp: result.timestamp,
+    sitScore: scores.sitScore,
+    riseScore: scores.riseScore,
+    totalScore: scores.totalScore,
+    reviewStatus: result.review?.status || "unreviewed",
+    posturalControl: result.posturalControl,
+    balance: result.balance,
+    coordination: result.coordination,
+  };
+};
+
+export const getPatientHistory = async (req, res, next) => {
+  const patientId = req.params.id === "me" ? req.user._id : req.params.id;
+
+  try {
+    if (
+      !mongoose.isValidObjectId(patientId) ||
+      !(await canAccessPatient(req.user, patientId))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    const results = await SRTResult.find({
+      ...organizationScope(req.user),
+      owner: patientId,
+      processingStatus: "completed",
+    }).sort({ timestamp: 1 });
+
+    const sessions = results.map(toSession);
+
+    res.json({
+      success: true,
+      patientId,
+      data: {
+        sessions,
+        trends: computeTrends(sessions),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
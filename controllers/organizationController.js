@@ -0,0 +1,48 @@
+// server/controllers/organizationController.js
+import { Organization } from "../models.js";
+import {
+  clearOriginsCache,
+  parseOrganizationSettings,
+} from "../services/organizationService.js";
+
+// The caller's own organization, loaded by requireOrganization
+export const getOrganization = (req, res) => {
+  res.json({
+    success: true,
+    data: req.organization,
+  });
+};
+
+// Admin-only: change the organization's settings, null restores a default
+export const updateOrganizationSettings = async (req, res, next) => {
+  const { settings, error } = parseOrganizationSettings(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  const $set = {};
+  const $unset = {};
+  Object.entries(settings).forEach(([field, value]) => {
+    if (value === null) $unset[`settings.${field}`] = "";
+    else $set[`settings.${field}`] = value;
+  });
+
+  try {
+    const organization = await Organization.findByIdAndUpdate(
+      req.organization._id,
+      Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+      { new: true, runValidators: true }
+    );
+    clearOriginsCache();
+
+    res.json({
+      success: true,
+      data: organization,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,111 +1,434 @@
 // server/controllers/srtController.js
-import { analyzeSRTVideo } from "../services/tensorflowService.js";
-import { SRTResult } from "../models.js";
-import { cleanupFrames } from "../services/videoService.js";
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import { pipeline } from "stream/promises";
+import { PoseTimeline, SRTResult, User } from "../models.js";
+import {
+  canAccessPatient,
+  canAccessResult,
+  organizationScope,
+} from "../services/accessService.js";
+import { scoringProfileFor } from "../services/organizationService.js";
+import { enqueueAnalysis } from "../services/analysisJob.js";
+import { rescoreResult } from "../services/rescoreService.js";
+import {
+  applyReviewChanges,
+  parseReviewChanges,
+  toReviewData,
+} from "../services/reviewService.js";
+import {
+  findByIdempotencyKey,
+  findDuplicateResult,
+  parseIdempotencyKey,
+} from "../services/deduplicationService.js";
+import { publishWebhookEvent } from "../services/webhookService.js";
+import { finishUploadSession, hashFile } from "../services/uploadService.js";
+import { checkVideoQuality } from "../services/qualityCheckService.js";
+import { parseSubjectBox } from "../services/subjectTracker.js";
+import { SCORING_MODES } from "../services/tensorflowService.js";
+import { getDefaultPoseModel, POSE_MODELS } from "../services/poseProviders.js";
+import { SEXES } from "../services/normativeData.js";
+import {
+  getScoringProfile,
+  listScoringProfiles,
+} from "../services/scoringProfiles.js";
+import { generateReportPdf } from "../services/pdfReportService.js";
+import { getStorage, storageKeys } from "../services/storageService.js";
+import {
+  expandFrames,
+  timelineToCsv,
+} from "../services/poseTimelineService.js";
+import {
+  getLatestProgress,
+  isTerminalStage,
+  subscribeProgress,
+} from "../services/progressService.js";
+
+const SSE_HEARTBEAT_INTERVAL = 15000; // ms, keeps proxies from closing idle streams
+// ms, progress events only reach streams on the instance running the
+// analysis, the others learn it finished from the database
+const SSE_STATUS_POLL_INTERVAL = 5000;
+
+// Shape shared by every report response
+const toReportData = (result) => ({
+  sitScore: result.sitScore,
+  riseScore: result.riseScore,
+  totalScore: result.totalScore,
+  posturalControl: result.posturalControl,
+  balance: result.balance,
+  coordination: result.coordination,
+  asymmetry: result.asymmetry,
+  riskLevel: result.riskLevel,
+  normative: result.normative,
+  demographics: result.demographics,
+  poseModel: result.poseModel,
+  scoringMode: result.scoringMode,
+  scoringProfile: result.scoringProfile,
+  deductions: result.deductions,
+  feedback: result.feedback,
+  recommendations: result.recommendations,
+  rescoredAt: result.rescoredAt,
+  scoreHistory: result.scoreHistory,
+  mediaPurge: result.mediaPurge,
+  schemaVersion: result.schemaVersion,
+  // Top-level scores above are the automated ones
+  ...toReviewData(result),
+});
+
+// Media types served per report, mapped to the SRTResult storage key field
+// and the mediaPurge entry set when retention deletes it
+const REPORT_MEDIA = {
+  "annotated-video": {
+    field: "annotatedVideoKey",
+    purge: "annotatedVideo",
+    contentType: "video/mp4",
+  },
+};
+
+const mediaPurged = (res, purgedAt) =>
+  res.status(410).json({
+    success: false,
+    message: "Media was deleted under the retention policy",
+    purgedAt,
+  });
+
+/**
+ * Stream a stored object, honouring a single byte range so videos can be
+ * seeked. Resolves false when the object doesn't exist.
+ */
+const sendStoredObject = async (req, res, key, contentType) => {
+  const storage = getStorage();
+  const stat = key ? await storage.stat(key) : null;
+  if (!stat) return false;
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Last-Modified": stat.lastModified.toUTCString(),
+  });
+  res.type(contentType);
+
+  const ranges = req.range(stat.size);
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${stat.size}`);
+    res.status(416).end();
+    return true;
+  }
+
+  let range;
+  if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length > 0) {
+    range = ranges[0];
+    res.status(206);
+    res.set("Content-Range", `bytes ${range.start}-${range.end}/${stat.size}`);
+  }
+  res.set(
+    "Content-Length",
+    String(range ? range.end - range.start + 1 : stat.size)
+  );
+
+  await pipeline(await storage.getStream(key, range), res);
+  return true;
+};
+
+// Same response for missing and not-permitted reports, so ids can't be probed
+const reportNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Report not found",
+  });
+
+/**
+ * Load a result the current user is allowed to see, or null
+ */
+const findAccessibleResult = async (user, id, projection) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const result = await SRTResult.findOne(
+    { _id: id, ...organizationScope(user) },
+    projection
+  );
+  if (!result || !(await canAccessResult(user, result))) return null;
+  return result;
+};
+
+/**
+ * Patients upload for themselves, clinicians and admins name the patient
+ */
+const resolvePatientId = async (user, patientId) => {
+  if (user.role === "patient") return user._id;
+  if (!mongoose.isValidObjectId(patientId)) return null;
+
+  const isPatient = await User.exists({
+    _id: patientId,
+    role: "patient",
+    ...organizationScope(user),
+  });
+  if (!isPatient || !(await canAccessPatient(user, patientId))) return null;
+  return patientId;
+};
+
+/**
+ * Optional age and sex from the upload form, null if either is invalid
+ */
+const parseDemographics = ({ age, sex }) => {
+  const demographics = {};
+
+  if (age !== undefined && age !== "") {
+    demographics.age = Number(age);
+    if (
+      !Number.isFinite(demographics.age) ||
+      demographics.age < 0 ||
+      demographics.age > 120
+    ) {
+      return null;
+    }
+  }
+
+  if (sex !== undefined && sex !== "") {
+    demographics.sex = String(sex).toLowerCase();
+    if (!SEXES.includes(demographics.sex)) return null;
+  }
+
+  return demographics;
+};
+
+// Discard the uploaded file and reply 400
+const rejectUpload = async (req, res, message) => {
+  await fs.unlink(req.file.path).catch(() => {});
+  return res.status(400).json({
+    success: false,
+    message,
+  });
+};
+
+/**
+ * Complete a resumable upload with its result and reply with it.
+ * 202 for a new analysis, 200 when an earlier result is returned.
+ */
+const respondWithResult = async (req, res, result, duplicate) => {
+  if (req.uploadSession) {
+    await finishUploadSession(req.uploadSession, result._id);
+  }
+
+  res.status(duplicate ? 200 : 202).json({
+    success: true,
+    reportId: result._id,
+    processingStatus: result.processingStatus,
+    duplicate,
+  });
+};
+
+/**
+ * Analyse a failed duplicate again from the new upload, instead of keeping
+ * a second failed record. Resolves with the up to date result.
+ */
+const retryFailedResult = async (result, file) => {
+  // Claimed atomically so concurrent retries queue the analysis once
+  const claimed = await SRTResult.findOneAndUpdate(
+    { _id: result._id, processingStatus: "failed" },
+    {
+      processingStatus: "pending",
+      $unset: { processingError: "", "mediaPurge.video": "" },
+    },
+    { new: true }
+  );
+  if (!claimed) return SRTResult.findById(result._id);
+
+  try {
+    await getStorage().putFile(claimed.videoKey, file.path, {
+      contentType: file.mimetype,
+    });
+  } catch (error) {
+    await SRTResult.updateOne(
+      { _id: claimed._id },
+      { processingStatus: "failed", processingError: error.message }
+    );
+    throw error;
+  }
+  enqueueAnalysis(claimed._id);
+  return claimed;
+};
+
+const isDuplicateKeyError = (error) => error.code === 11000;
 
 export const analyzeVideo = async (req, res, next) => {
   try {
-    const videoPath = req.file.path;
-
-    // First, analyze the video before creating the record
-    const analysis = await analyzeSRTVideo(videoPath);
-
-    console.log(analysis);
-
-    // Create record with all required fields from analysis
-    let result = new SRTResult({
-      // Basic scores with fallback to 0 if NaN
-      sitScore: isNaN(analysis.sitScore) ? 0 : Math.max(0, analysis.sitScore),
-      riseScore: isNaN(analysis.riseScore)
-        ? 0
-        : Math.max(0, analysis.riseScore),
-      totalScore: isNaN(analysis.totalScore)
-        ? 0
-        : Math.max(0, analysis.totalScore),
-
-      // Detailed analysis with fallback to 0
-      posturalControl: isNaN(analysis.posturalControl)
-        ? 0
-        : Math.max(0, analysis.posturalControl),
-      balance: isNaN(analysis.balance) ? 0 : Math.max(0, analysis.balance),
-      coordination: isNaN(analysis.coordination)
-        ? 0
-        : Math.max(0, analysis.coordination),
-
-      // Movement phases with fallback to 0
-      sittingPhase: {
-        kneeFlexion: isNaN(analysis.sittingPhase.kneeFlexion)
-          ? 0
-          : Math.max(0, analysis.sittingPhase.kneeFlexion),
-        hipControl: isNaN(analysis.sittingPhase.hipControl)
-          ? 0
-          : Math.max(0, analysis.sittingPhase.hipControl),
-        spinalAlignment: isNaN(analysis.sittingPhase.spinalAlignment)
-          ? 0
-          : Math.max(0, analysis.sittingPhase.spinalAlignment),
-      },
-      risingPhase: {
-        kneeExtension: isNaN(analysis.risingPhase.kneeExtension)
-          ? 0
-          : Math.max(0, analysis.risingPhase.kneeExtension),
-        hipDrive: isNaN(analysis.risingPhase.hipDrive)
-          ? 0
-          : Math.max(0, analysis.risingPhase.hipDrive),
-        stability: isNaN(analysis.risingPhase.stability)
-          ? 0
-          : Math.max(0, analysis.risingPhase.stability),
-      },
+    const idempotencyKey = parseIdempotencyKey(req.get("Idempotency-Key"));
+    if (idempotencyKey === null) {
+      return rejectUpload(
+        req,
+        res,
+        "Invalid Idempotency-Key. Expected 1-255 printable ASCII characters"
+      );
+    }
 
-      // Feedback and media
-      feedback: analysis.feedback,
-      videoPath: videoPath,
-      keyFrames: analysis.keyFrames,
-      processingStatus: "completed",
-    });
+    const owner = await resolvePatientId(req.user, req.body.patientId);
+    if (!owner) {
+      return rejectUpload(
+        req,
+        res,
+        "A patientId you are assigned to is required"
+      );
+    }
 
-    await result.save();
+    const scoringMode = req.body.scoringMode || "quality";
+    if (!SCORING_MODES.includes(scoringMode)) {
+      return rejectUpload(
+        req,
+        res,
+        `Invalid scoringMode. Supported: ${SCORING_MODES.join(", ")}`
+      );
+    }
+
+    const poseModel = req.body.poseModel || getDefaultPoseModel();
+    if (!POSE_MODELS.includes(poseModel)) {
+      return rejectUpload(
+        req,
+        res,
+        `Invalid poseModel. Supported: ${POSE_MODELS.join(", ")}`
+      );
+    }
+
+    const subjectBox = parseSubjectBox(req.body.subjectBox);
+    if (subjectBox === null) {
+      return rejectUpload(
+        req,
+        res,
+        "Invalid subjectBox. Expected { x, y, width, height } as fractions of the frame"
+      );
+    }
 
-    // Cleanup temporary frame files
-    if (analysis.keyFrames) {
+    // Pin the profile version now so a config change can't alter this upload
+    const profile = getScoringProfile(
+      req.body.scoringProfile || scoringProfileFor(req.organization)
+    );
+    if (!profile) {
+      return rejectUpload(req, res, "Unknown scoringProfile");
+    }
+
+    const demographics = parseDemographics(req.body);
+    if (!demographics) {
+      return rejectUpload(
+        req,
+        res,
+        `Invalid demographics. age must be 0-120, sex one of: ${SEXES.join(", ")}`
+      );
+    }
+
+    // Resumable uploads were hashed while being assembled
+    const contentHash = req.file.sha256 || (await hashFile(req.file.path));
+
+    if (idempotencyKey) {
+      const previous = await findByIdempotencyKey(
+        req.organization._id,
+        req.user._id,
+        idempotencyKey
+      );
+      if (previous && previous.contentHash !== contentHash) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(422).json({
+          success: false,
+          message: "Idempotency-Key was already used for a different video",
+        });
+      }
+      if (previous) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return respondWithResult(req, res, previous, true);
+      }
+    }
+
+    const duplicateQuery = {
+      organization: req.organization._id,
+      owner,
+      contentHash,
+      scoringMode,
+      profile,
+      poseModel,
+      demographics,
+    };
+    let duplicate = await findDuplicateResult(duplicateQuery);
+    if (duplicate) {
       try {
-        await cleanupFrames(analysis.keyFrames);
-      } catch (cleanupError) {
-        console.warn("Frame cleanup warning:", cleanupError);
+        if (duplicate.processingStatus === "failed") {
+          duplicate = await retryFailedResult(duplicate, req.file);
+        }
+      } finally {
+        await fs.unlink(req.file.path).catch(() => {});
       }
+      return respondWithResult(req, res, duplicate, true);
     }
 
-    res.json({
-      success: true,
-      reportId: result._id,
-      data: {
-        sitScore: result.sitScore,
-        riseScore: result.riseScore,
-        totalScore: result.totalScore,
-        posturalControl: result.posturalControl,
-        balance: result.balance,
-        coordination: result.coordination,
-        feedback: result.feedback,
-      },
+    // Record the upload first, analysis runs in the background
+    const result = new SRTResult({
+      organization: req.organization._id,
+      owner,
+      scoringMode,
+      scoringProfile: { id: profile.id, version: profile.version },
+      poseModel: { name: poseModel },
+      demographics,
+      subjectBox,
+      qualityCheck: req.qualityCheck?.metrics,
+      contentHash,
+      idempotencyKey,
+      uploadedBy: req.user._id,
+      processingStatus: "pending",
     });
-  } catch (error) {
-    // If analysis fails, create a failed record
+
+    // Move the upload into storage, any instance can then run the analysis
+    result.videoKey = storageKeys.video(result._id, req.file.originalname);
     try {
-      const failedResult = new SRTResult({
-        videoPath: req.file.path,
-        sitScore: 0,
-        riseScore: 0,
-        totalScore: 0,
-        posturalControl: 0,
-        balance: 0,
-        coordination: 0,
-        processingStatus: "failed",
+      await getStorage().putFile(result.videoKey, req.file.path, {
+        contentType: req.file.mimetype,
       });
-      await failedResult.save();
-    } catch (saveError) {
-      console.error("Error saving failed result:", saveError);
+    } finally {
+      await fs.unlink(req.file.path).catch(() => {});
     }
 
+    try {
+      await result.save();
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+
+      // A concurrent retry of the same upload saved first
+      await getStorage().remove(result.videoKey);
+      const winner =
+        (idempotencyKey &&
+          (await findByIdempotencyKey(
+            req.organization._id,
+            req.user._id,
+            idempotencyKey
+          ))) ||
+        (await findDuplicateResult(duplicateQuery));
+      if (!winner) throw error;
+      return respondWithResult(req, res, winner, true);
+    }
+
+    enqueueAnalysis(result._id);
+    await respondWithResult(req, res, result, false);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Quality check only, lets patients re-record before submitting
+export const precheckVideo = async (req, res, next) => {
+  const { poseModel } = req.body;
+
+  try {
+    const report = await checkVideoQuality(req.file.path, {
+      poseModel: POSE_MODELS.includes(poseModel) ? poseModel : undefined,
+      subjectBox: parseSubjectBox(req.body.subjectBox) || undefined,
+    });
+
+    res.json({
+      success: true,
+      passed: report.passed,
+      reasons: report.reasons,
+      metrics: report.metrics,
+    });
+  } catch (error) {
     next(error);
+  } finally {
+    await fs.unlink(req.file.path).catch(() => {});
   }
 };
 
@@ -121,31 +444,380 @@ export const getReport = async (req, res, next) => {
   }
 
   try {
-    const result = await SRTResult.findById(id);
+    const result = await findAccessibleResult(req.user, id);
+    if (!result) return reportNotFound(res);
+
+    // Clients poll this until processingStatus is completed or failed
+    const completed = result.processingStatus === "completed";
+    res.json({
+      success: true,
+      reportId: result._id,
+      processingStatus: result.processingStatus,
+      data: completed ? toReportData(result) : null,
+      error:
+        result.processingStatus === "failed"
+          ? result.processingError || "Analysis failed"
+          : undefined,
+    });
+  } catch (error) {
+    console.error("Error in getReport:", error);
+    next(error);
+  }
+};
+
+// Streams pipeline progress for an analysis as Server-Sent Events
+export const streamAnalysisEvents = async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const result = await findAccessibleResult(
+      req.user,
+      id,
+      "owner organization"
+    );
+    if (!result) return reportNotFound(res);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let finished = false;
+    const send = (event) => {
+      if (finished) return;
+      res.write(`event: ${event.stage}\n`);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Subscribe before reading the status, a job finishing in between
+    // would otherwise never reach this stream
+    const unsubscribe = subscribeProgress(id, (event) => {
+      send(event);
+      if (isTerminalStage(event.stage)) finish();
+    });
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      SSE_HEARTBEAT_INTERVAL
+    );
+
+    let statusPoll;
+
+    const close = () => {
+      finished = true;
+      clearInterval(heartbeat);
+      clearInterval(statusPoll);
+      unsubscribe();
+    };
+    const finish = () => {
+      if (finished) return;
+      close();
+      res.end();
+    };
+    req.on("close", close);
+
+    // Ends the stream once the stored status is final, else resolves with
+    // the result
+    const checkStoredStatus = async () => {
+      const current = await SRTResult.findById(
+        id,
+        "processingStatus processingError"
+      );
+      if (!current) return finish();
+      if (current.processingStatus === "completed") {
+        send({ stage: "completed", resultId: id, percent: 100 });
+        return finish();
+      }
+      if (current.processingStatus === "failed") {
+        send({ stage: "failed", resultId: id, error: current.processingError });
+        return finish();
+      }
+      return current;
+    };
+
+    // Headers are already sent, the client reconnects
+    const fail = (error) => {
+      console.error("Analysis event stream failed:", error);
+      close();
+      res.destroy(error);
+    };
+
+    try {
+      const current = await checkStoredStatus();
+      if (finished) return;
+
+      send(
+        getLatestProgress(id) || {
+          stage: current.processingStatus,
+          resultId: id,
+          percent: 0,
+        }
+      );
+      statusPoll = setInterval(
+        () => checkStoredStatus().catch(fail),
+        SSE_STATUS_POLL_INTERVAL
+      );
+    } catch (error) {
+      fail(error);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReportPdf = async (req, res, next) => {
+  try {
+    const result = await findAccessibleResult(req.user, req.params.id);
+    if (!result) return reportNotFound(res);
+
+    if (result.processingStatus !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "Report is not ready yet",
+        processingStatus: result.processingStatus,
+      });
+    }
+
+    const pdf = await generateReportPdf(result);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="srt-report-${result._id}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReportMedia = async (req, res, next) => {
+  const media = REPORT_MEDIA[req.params.type];
+
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: "Unknown media type",
+    });
+  }
+
+  try {
+    const result = await findAccessibleResult(req.user, req.params.id);
+    if (!result) return reportNotFound(res);
+
+    const purgedAt = result.mediaPurge?.[media.purge];
+    if (purgedAt) return mediaPurged(res, purgedAt);
 
-    if (!result) {
+    const sent = await sendStoredObject(
+      req,
+      res,
+      result[media.field],
+      media.contentType
+    );
+    if (!sent) {
       return res.status(404).json({
         success: false,
-        message: "Report not found",
+        message: "Media not available for this report",
       });
     }
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const listKeyFrames = async (req, res, next) => {
+  try {
+    const result = await findAccessibleResult(req.user, req.params.id);
+    if (!result) return reportNotFound(res);
+
+    res.json({
+      success: true,
+      reportId: result._id,
+      data: result.keyFrames.map((keyFrame) => ({
+        label: keyFrame.label,
+        frameIndex: keyFrame.frameIndex,
+        supports: keyFrame.supports,
+        hasThumbnail: Boolean(keyFrame.thumbnailKey),
+      })),
+      purgedAt: result.mediaPurge?.keyFrames,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getKeyFrame = async (req, res, next) => {
+  const { id, label } = req.params;
+  const thumbnail = req.query.size === "thumbnail";
+
+  try {
+    const result = await findAccessibleResult(req.user, id);
+    if (!result) return reportNotFound(res);
+
+    if (result.mediaPurge?.keyFrames) {
+      return mediaPurged(res, result.mediaPurge.keyFrames);
+    }
+
+    const keyFrame = result.keyFrames.find((frame) => frame.label === label);
+    const frameKey = thumbnail ? keyFrame?.thumbnailKey : keyFrame?.key;
+
+    const sent = await sendStoredObject(req, res, frameKey, "image/jpeg");
+    if (!sent) {
+      return res.status(404).json({
+        success: false,
+        message: "Key frame not found",
+      });
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Raw keypoint time series, as JSON (default) or CSV
+export const exportKeypoints = async (req, res, next) => {
+  const format = req.query.format || "json";
+
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid format. Supported: json, csv",
+    });
+  }
+
+  try {
+    const result = await findAccessibleResult(req.user, req.params.id);
+    if (!result) return reportNotFound(res);
+
+    const timeline = await PoseTimeline.findOne({ result: result._id });
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        message: "No keypoint data stored for this report",
+      });
+    }
+
+    if (format === "csv") {
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="srt-keypoints-${result._id}.csv"`,
+      });
+      return res.send(timelineToCsv(timeline));
+    }
 
-    // Making response structure exactly match analyzeVideo
     res.json({
       success: true,
       reportId: result._id,
       data: {
-        sitScore: result.sitScore,
-        riseScore: result.riseScore,
-        totalScore: result.totalScore,
-        posturalControl: result.posturalControl,
-        balance: result.balance,
-        coordination: result.coordination,
-        feedback: result.feedback,
+        poseModel: timeline.poseModel,
+        transitionFrame: timeline.transitionFrame,
+        frames: expandFrames(timeline),
       },
     });
   } catch (error) {
-    console.error("Error in getReport:", error);
     next(error);
   }
 };
+
+// Score again from the stored keypoints, e.g. after a scoring change
+export const rescoreReport = async (req, res, next) => {
+  const { reason } = req.body;
+
+  try {
+    const result = await findAccessibleResult(req.user, req.params.id);
+    if (!result) return reportNotFound(res);
+
+    const scoringMode = req.body.scoringMode || result.scoringMode;
+    if (!SCORING_MODES.includes(scoringMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scoringMode. Supported: ${SCORING_MODES.join(", ")}`,
+      });
+    }
+
+    // Latest version of the requested profile, or of the one used before
+    const profile = getScoringProfile(
+      req.body.scoringProfile || result.scoringProfile?.id || undefined
+    );
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown scoringProfile",
+      });
+    }
+
+    if (result.processingStatus !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "Only completed reports can be re-scored",
+        processingStatus: result.processingStatus,
+      });
+    }
+
+    const rescored = await rescoreResult(result, {
+      scoringMode,
+      profile,
+      reason,
+      rescoredBy: req.user._id,
+    });
+    if (!rescored) {
+      return res.status(409).json({
+        success: false,
+        message: "No keypoint data stored for this report, re-upload the video",
+      });
+    }
+
+    res.json({
+      success: true,
+      reportId: rescored._id,
+      data: toReportData(rescored),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clinician review: mark reviewed, override phase scores, add or remove
+// deductions. Each change needs a reason and is kept in reviewHistory.
+export const reviewReport = async (req, res, next) => {
+  try {
+    const result = await findAccessibleResult(req.user, req.params.id);
+    if (!result) return reportNotFound(res);
+
+    if (result.processingStatus !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "Only completed reports can be reviewed",
+        processingStatus: result.processingStatus,
+      });
+    }
+
+    const { changes, error } = parseReviewChanges(result, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    applyReviewChanges(result, changes, { reviewedBy: req.user._id });
+    await result.save();
+    publishWebhookEvent("review.updated", result);
+
+    res.json({
+      success: true,
+      reportId: result._id,
+      data: toReportData(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getScoringProfiles = (req, res) => {
+  res.json({
+    success: true,
+    data: listScoringProfiles(),
+  });
+};
@@ -0,0 +1,325 @@
+// server/controllers/uploadController.js
+// Resumable uploads, modelled on tus: create a session, PATCH chunks at the
+// current Upload-Offset, resume after HEAD, then complete to start analysis
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import { UploadSession } from "../models.js";
+import {
+  ALLOWED_VIDEO_TYPES,
+  assembleParts,
+  getResumableMaxBytes,
+  removePart,
+  removeParts,
+  sessionExpiry,
+  storeChunk,
+} from "../services/uploadService.js";
+
+const CHUNK_CONTENT_TYPE = "application/offset+octet-stream";
+
+// A complete request that died midway frees the session after this long
+const COMPLETING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Analysis fields accepted with a session, the same as POST /analyse
+const ANALYSIS_FIELDS = [
+  "patientId",
+  "scoringMode",
+  "scoringProfile",
+  "poseModel",
+  "age",
+  "sex",
+  "subjectBox",
+];
+
+const pickAnalysisFields = (fields = {}) =>
+  Object.fromEntries(
+    ANALYSIS_FIELDS.filter((key) => fields[key] !== undefined).map((key) => [
+      key,
+      fields[key],
+    ])
+  );
+
+const uploadNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Upload not found",
+  });
+
+/**
+ * Load an unexpired session started by the current user, or null
+ */
+const findSession = async (user, id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  return UploadSession.findOne({
+    _id: id,
+    uploadedBy: user._id,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const setOffsetHeaders = (res, session) =>
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.size),
+    "Cache-Control": "no-store",
+  });
+
+export const createUpload = async (req, res, next) => {
+  const { filename, mimeType, size, checksum, fields = {} } = req.body;
+  const maxBytes = getResumableMaxBytes();
+
+  if (!ALLOWED_VIDEO_TYPES.includes(mimeType)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid video format. Supported formats: MP4, WebM, MOV",
+    });
+  }
+  if (!Number.isInteger(size) || size <= 0 || size > maxBytes) {
+    return res.status(400).json({
+      success: false,
+      message: `size must be a byte count up to ${maxBytes}`,
+    });
+  }
+  if (checksum !== undefined && !/^[a-f0-9]{64}$/i.test(checksum)) {
+    return res.status(400).json({
+      success: false,
+      message: "checksum must be a hex encoded SHA-256 digest",
+    });
+  }
+
+  try {
+    const session = new UploadSession({
+      uploadedBy: req.user._id,
+      filename,
+      mimeType,
+      size,
+      checksum: checksum?.toLowerCase(),
+      fields: pickAnalysisFields(fields),
+      expiresAt: sessionExpiry(),
+    });
+    await session.save();
+
+    setOffsetHeaders(res, session);
+    res.location(`${req.baseUrl}/uploads/${session._id}`);
+    res.status(201).json({
+      success: true,
+      uploadId: session._id,
+      offset: session.offset,
+      size: session.size,
+      expiresAt: session.expiresAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Also answers HEAD, which is how clients find the offset to resume from
+export const getUploadStatus = async (req, res, next) => {
+  try {
+    const session = await findSession(req.user, req.params.id);
+    if (!session) return uploadNotFound(res);
+
+    setOffsetHeaders(res, session);
+    res.json({
+      success: true,
+      uploadId: session._id,
+      status: session.status,
+      offset: session.offset,
+      size: session.size,
+      expiresAt: session.expiresAt,
+      reportId: session.result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const uploadChunk = async (req, res, next) => {
+  if (!req.is(CHUNK_CONTENT_TYPE)) {
+    return res.status(415).json({
+      success: false,
+      message: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}`,
+    });
+  }
+
+  try {
+    const session = await findSession(req.user, req.params.id);
+    if (!session) return uploadNotFound(res);
+
+    if (session.status !== "uploading") {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is already complete",
+      });
+    }
+
+    // Chunks must continue exactly where the stored data ends
+    const offset = Number(req.get("Upload-Offset"));
+    if (offset !== session.offset) {
+      setOffsetHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: "Upload-Offset does not match the current offset",
+        offset: session.offset,
+      });
+    }
+
+    const { part, error } = await storeChunk(
+      session._id,
+      offset,
+      req,
+      session.size - offset
+    );
+
+    // Applied only while the offset is unchanged, a retry racing the
+    // original request must not append the same range twice
+    const update = { $set: { expiresAt: sessionExpiry() } };
+    if (part) {
+      update.$push = { parts: part };
+      update.$inc = { offset: part.size };
+    }
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset, status: "uploading" },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      if (part) await removePart(part);
+      const current = (await UploadSession.findById(session._id)) || session;
+      setOffsetHeaders(res, current);
+      return res.status(409).json({
+        success: false,
+        message: "Upload-Offset does not match the current offset",
+        offset: current.offset,
+      });
+    }
+
+    setOffsetHeaders(res, updated);
+    if (error?.code === "CHUNK_TOO_LARGE") {
+      return res.status(413).json({
+        success: false,
+        message: error.message,
+        offset: updated.offset,
+      });
+    }
+    if (error) {
+      console.warn("Upload chunk interrupted:", error.message);
+      return res.status(400).json({
+        success: false,
+        message: "Chunk interrupted, resume from the returned offset",
+        offset: updated.offset,
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const COMPLETE_CONFLICTS = {
+  completing: "Upload is already being completed",
+  completed: "Upload is already complete",
+};
+
+/**
+ * Claim a fully received session for completion, null when it is
+ * incomplete, already completed or another request is completing it
+ */
+const claimCompletion = (session) =>
+  UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      offset: session.size,
+      $or: [
+        { status: "uploading" },
+        {
+          status: "completing",
+          updatedAt: { $lt: new Date(Date.now() - COMPLETING_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { status: "completing" },
+    { new: true }
+  );
+
+/**
+ * Assemble and verify the stored chunks, then hand it to the upload
+ * validation and analysis middleware, as if it had been posted to /analyse.
+ * Analysis fields in the body replace those given when the upload started.
+ * The chunks are kept until the analysis accepts the video, so a rejected
+ * upload can be completed again with corrected fields.
+ */
+export const completeUpload = async (req, res, next) => {
+  try {
+    const found = await findSession(req.user, req.params.id);
+    if (!found) return uploadNotFound(res);
+
+    const session = await claimCompletion(found);
+    if (!session) {
+      setOffsetHeaders(res, found);
+      return res.status(409).json({
+        success: false,
+        message:
+          COMPLETE_CONFLICTS[found.status] ||
+          `Upload incomplete, ${found.offset} of ${found.size} bytes received`,
+      });
+    }
+
+    // Back to uploading unless the analysis took the video
+    res.once("close", () =>
+      UploadSession.updateOne(
+        { _id: session._id, status: "completing" },
+        { status: "uploading" }
+      ).catch((error) =>
+        console.error("Failed to release upload session:", error)
+      )
+    );
+
+    const video = await assembleParts(session.parts, session.filename);
+    if (session.checksum && video.digest !== session.checksum) {
+      // No way to tell which chunk is corrupt, the client starts over
+      await fs.unlink(video.path).catch(() => {});
+      await removeParts(session._id);
+      await session.deleteOne();
+      return res.status(422).json({
+        success: false,
+        message: "Checksum mismatch, upload the video again",
+      });
+    }
+
+    req.file = {
+      path: video.path,
+      originalname: session.filename,
+      mimetype: session.mimeType,
+      size: session.size,
+      sha256: video.digest,
+    };
+    req.body = { ...session.fields, ...pickAnalysisFields(req.body) };
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const cancelUpload = async (req, res, next) => {
+  try {
+    const session = await findSession(req.user, req.params.id);
+    if (!session) return uploadNotFound(res);
+
+    if (session.status === "completing") {
+      return res.status(409).json({
+        success: false,
+        message: "Upload is being completed",
+      });
+    }
+    if (session.status === "uploading") {
+      await removeParts(session._id);
+    }
+    await session.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
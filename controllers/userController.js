@@ -0,0 +1,104 @@
+// server/controllers/userController.js
+import mongoose from "mongoose";
+import { User } from "../models.js";
+import { organizationScope } from "../services/accessService.js";
+import { hashPassword, isValidPassword } from "../services/authService.js";
+
+// Admin-only: create a user with any role in the admin's organization
+export const createUser = async (req, res, next) => {
+  const { email, password, name, role } = req.body;
+
+  if (typeof email !== "string" || !email || !isValidPassword(password)) {
+    return res.status(400).json({
+      success: false,
+      message: "Email and a password of at least 8 characters are required",
+    });
+  }
+
+  try {
+    const user = new User({
+      organization: req.user.organization,
+      email,
+      name,
+      role,
+      passwordHash: await hashPassword(password),
+    });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin-only: assign a clinician to a patient
+export const assignClinician = async (req, res, next) => {
+  const { id } = req.params;
+  const { clinicianId } = req.body;
+
+  if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(clinicianId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Valid patient and clinician IDs are required",
+    });
+  }
+
+  try {
+    const clinician = await User.findOne({
+      _id: clinicianId,
+      role: "clinician",
+      ...organizationScope(req.user),
+    });
+    if (!clinician) {
+      return res.status(404).json({
+        success: false,
+        message: "Clinician not found",
+      });
+    }
+
+    const patient = await User.findOneAndUpdate(
+      { _id: id, role: "patient", ...organizationScope(req.user) },
+      { $addToSet: { clinicians: clinician._id } },
+      { new: true }
+    );
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      user: patient,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Patients visible to the caller: a clinician's own, or all of the
+// organization's for admins
+export const listPatients = async (req, res, next) => {
+  try {
+    const filter =
+      req.user.role === "admin"
+        ? { role: "patient", ...organizationScope(req.user) }
+        : {
+            role: "patient",
+            clinicians: req.user._id,
+            ...organizationScope(req.user),
+          };
+    const patients = await User.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: patients,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
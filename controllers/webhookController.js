@@ -0,0 +1,209 @@
+// server/controllers/webhookController.js
+// Admin-only management of the organization's webhook endpoints and their
+// delivery log
+import mongoose from "mongoose";
+import { WebhookDelivery, WebhookEndpoint } from "../models.js";
+import { organizationScope } from "../services/accessService.js";
+import {
+  checkWebhookUrl,
+  generateWebhookSecret,
+  parseWebhookEndpoint,
+  redeliver,
+} from "../services/webhookService.js";
+
+const DELIVERY_LOG_LIMIT = { DEFAULT: 50, MAX: 200 };
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const notFound = (res, message = "Webhook not found") =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+const findEndpoint = (user, id) =>
+  mongoose.isValidObjectId(id)
+    ? WebhookEndpoint.findOne({ _id: id, ...organizationScope(user) })
+    : null;
+
+export const listWebhooks = async (req, res, next) => {
+  try {
+    const endpoints = await WebhookEndpoint.find(
+      organizationScope(req.user)
+    ).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: endpoints,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The signing secret is only ever returned here
+export const createWebhook = async (req, res, next) => {
+  const { fields, error } = parseWebhookEndpoint(req.body);
+  const urlError = !error && (await checkWebhookUrl(fields.url));
+  if (error || urlError) {
+    return res.status(400).json({
+      success: false,
+      message: error || urlError,
+    });
+  }
+
+  try {
+    const secret = generateWebhookSecret();
+    const endpoint = await WebhookEndpoint.create({
+      ...fields,
+      organization: req.user.organization,
+      createdBy: req.user._id,
+      secret,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...endpoint.toJSON(), secret },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateWebhook = async (req, res, next) => {
+  const { fields, error } = parseWebhookEndpoint(req.body, { partial: true });
+  const urlError = !error && fields.url && (await checkWebhookUrl(fields.url));
+  if (error || urlError) {
+    return res.status(400).json({
+      success: false,
+      message: error || urlError,
+    });
+  }
+
+  try {
+    const endpoint = await findEndpoint(req.user, req.params.id);
+    if (!endpoint) return notFound(res);
+
+    Object.assign(endpoint, fields);
+    await endpoint.save();
+
+    res.json({
+      success: true,
+      data: endpoint,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pending deliveries of a removed endpoint fail on their next attempt
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    const endpoint = await findEndpoint(req.user, req.params.id);
+    if (!endpoint) return notFound(res);
+
+    await WebhookDelivery.deleteMany({
+      endpoint: endpoint._id,
+      status: { $ne: "pending" },
+    });
+    await endpoint.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Webhook deleted",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delivery log of an endpoint, newest first. Query: status, limit and
+ * before (a delivery id, for the next page).
+ */
+export const listWebhookDeliveries = async (req, res, next) => {
+  const { status, before } = req.query;
+  const limit = Math.min(
+    Number(req.query.limit) || DELIVERY_LOG_LIMIT.DEFAULT,
+    DELIVERY_LOG_LIMIT.MAX
+  );
+
+  if (
+    (status !== undefined && !DELIVERY_STATUSES.includes(status)) ||
+    (before !== undefined && !mongoose.isValidObjectId(before)) ||
+    limit < 1
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of ${DELIVERY_STATUSES.join(
+        ", "
+      )}, before a delivery id and limit a positive number`,
+    });
+  }
+
+  try {
+    const endpoint = await findEndpoint(req.user, req.params.id);
+    if (!endpoint) return notFound(res);
+
+    const query = { endpoint: endpoint._id };
+    if (status) query.status = status;
+    if (before) query._id = { $lt: before };
+
+    const deliveries = await WebhookDelivery.find(query, "-payload")
+      .sort({ _id: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: deliveries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findDelivery = async (req) => {
+  const endpoint = await findEndpoint(req.user, req.params.id);
+  const { deliveryId } = req.params;
+  if (!endpoint || !mongoose.isValidObjectId(deliveryId)) return {};
+
+  const delivery = await WebhookDelivery.findOne({
+    _id: deliveryId,
+    endpoint: endpoint._id,
+  });
+  return { endpoint, delivery };
+};
+
+// One delivery with the payload that was sent
+export const getWebhookDelivery = async (req, res, next) => {
+  try {
+    const { delivery } = await findDelivery(req);
+    if (!delivery) return notFound(res, "Delivery not found");
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const redeliverWebhook = async (req, res, next) => {
+  try {
+    const { endpoint, delivery } = await findDelivery(req);
+    if (!delivery) return notFound(res, "Delivery not found");
+    if (!endpoint.active) {
+      return res.status(409).json({
+        success: false,
+        message: "Webhook is disabled",
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: await redeliver(delivery),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,11 +1,21 @@
+import "dotenv/config";
 import express from "express";
 import mongoose from "mongoose";
 import cors from "cors";
-import dotenv from "dotenv";
 import routes from "./routes.js";
 import { errorHandler } from "./middleware/errorHandler.js";
+import { resumePendingAnalyses } from "./services/analysisJob.js";
+import { loadScoringProfiles } from "./services/scoringProfiles.js";
+import { isKnownOrigin } from "./services/organizationService.js";
+import { resumePendingDeliveries } from "./services/webhookService.js";
+import {
+  getRetentionPolicy,
+  startRetentionSweeper,
+} from "./services/retentionService.js";
 
-dotenv.config();
+// Fail fast on an invalid scoring profiles file or retention settings
+loadScoringProfiles();
+getRetentionPolicy();
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -13,8 +23,16 @@ const port = process.env.PORT || 3000;
 // Middleware
 app.use(
   cors({
-    origin: process.env.FRONTEND_URL || "http://localhost:5173",
-    methods: "GET,POST,PUT,DELETE",
+    // FRONTEND_URL plus every organization's allowedOrigins, requests are
+    // then held to the caller's own organization in requireOrganization
+    origin: (origin, callback) => {
+      if (!origin) return callback(null, false);
+      isKnownOrigin(origin)
+        .then((allowed) => callback(null, allowed))
+        .catch(callback);
+    },
+    methods: "GET,HEAD,POST,PUT,PATCH,DELETE",
+    exposedHeaders: ["Location", "Upload-Offset", "Upload-Length"],
     credentials: true,
   })
 );
@@ -24,7 +42,17 @@ app.use(express.json());
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    // Pick up analyses interrupted by a restart
+    resumePendingAnalyses().catch((err) =>
+      console.error("Failed to resume pending analyses:", err)
+    );
+    resumePendingDeliveries().catch((err) =>
+      console.error("Failed to resume webhook deliveries:", err)
+    );
+    startRetentionSweeper();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Routes
@@ -0,0 +1,47 @@
+// server/middleware/auth.js
+import { resolveToken } from "../services/authService.js";
+
+const unauthorized = (res) =>
+  res.status(401).json({
+    success: false,
+    message: "Authentication required",
+  });
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+const authenticateWith = (getToken) => async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    if (!token) return unauthorized(res);
+
+    const user = await resolveToken(token);
+    if (!user) return unauthorized(res);
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const authenticate = authenticateWith(bearerToken);
+
+// EventSource cannot send headers, so streams may pass ?token= instead
+export const authenticateStream = authenticateWith(
+  (req) => bearerToken(req) || req.query.token || null
+);
+
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Insufficient permissions",
+      });
+    }
+    next();
+  };
@@ -10,6 +10,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: "error",
+      message: "Duplicate record",
+      details: Object.keys(err.keyValue || {}).join(", ") || undefined,
+    });
+  }
+
   if (err.name === "MulterError") {
     return res.status(400).json({
       status: "error",
@@ -0,0 +1,34 @@
+// server/middleware/requireOrganization.js
+import { Organization } from "../models.js";
+import { isOriginAllowedFor } from "../services/organizationService.js";
+
+/**
+ * Load the caller's organization onto req.organization. Users outside any
+ * organization, and browsers on another clinic's origin, are turned away.
+ */
+export const requireOrganization = async (req, res, next) => {
+  try {
+    const organization =
+      req.user?.organization &&
+      (await Organization.findById(req.user.organization));
+    if (!organization) {
+      return res.status(403).json({
+        success: false,
+        message: "Your account is not part of an organization",
+      });
+    }
+
+    const origin = req.get("Origin");
+    if (origin && !isOriginAllowedFor(organization, origin)) {
+      return res.status(403).json({
+        success: false,
+        message: "Origin not allowed for your organization",
+      });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,42 @@
+// server/middleware/requireVideoQuality.js
+import fs from "fs/promises";
+import { checkVideoQuality } from "../services/qualityCheckService.js";
+import { POSE_MODELS } from "../services/poseProviders.js";
+import { parseSubjectBox } from "../services/subjectTracker.js";
+
+/**
+ * Reject uploads that fail the quality check before a result is created.
+ * Set VIDEO_QUALITY_CHECK=off to skip it.
+ */
+export const requireVideoQuality = async (req, res, next) => {
+  if (process.env.VIDEO_QUALITY_CHECK === "off") return next();
+
+  try {
+    // Invalid fields are rejected later with the rest of the upload
+    const { poseModel } = req.body;
+    const report = await checkVideoQuality(req.file.path, {
+      poseModel: POSE_MODELS.includes(poseModel) ? poseModel : undefined,
+      subjectBox: parseSubjectBox(req.body.subjectBox) || undefined,
+    });
+
+    if (!report.passed) {
+      await fs.unlink(req.file.path);
+      return res.status(422).json({
+        success: false,
+        message: "Video did not pass the quality check",
+        reasons: report.reasons,
+        metrics: report.metrics,
+      });
+    }
+
+    req.qualityCheck = report;
+    next();
+  } catch (error) {
+    try {
+      await fs.unlink(req.file.path);
+    } catch (unlinkError) {
+      console.error("Error deleting rejected file:", unlinkError);
+    }
+    next(error);
+  }
+};
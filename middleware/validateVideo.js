@@ -1,5 +1,10 @@
 // server/middleware/validateVideo.js
 import fs from "fs/promises";
+import {
+  ALLOWED_VIDEO_TYPES,
+  getDirectMaxBytes,
+  getResumableMaxBytes,
+} from "../services/uploadService.js";
 
 export const validateVideo = async (req, res, next) => {
   try {
@@ -14,20 +19,21 @@ export const validateVideo = async (req, res, next) => {
     // Get file stats
     const stats = await fs.stat(req.file.path);
     [];
-    // Validate file size (50MB limit)
-    const maxSize = 50 * 1024 * 1024; // 50MB in bytes
+    // Validate file size, resumable uploads allow larger recordings
+    const maxSize = req.uploadSession
+      ? getResumableMaxBytes()
+      : getDirectMaxBytes();
     if (stats.size > maxSize) {
       // Clean up the file
       await fs.unlink(req.file.path);
       return res.status(400).json({
         success: false,
-        message: "File size exceeds 50MB limit",
+        message: `File size exceeds ${Math.round(maxSize / 1024 / 1024)}MB limit`,
       });
     }
 
     // Validate video format
-    const allowedTypes = ["video/mp4", "video/webm", "video/quicktime"];
-    if (!allowedTypes.includes(req.file.mimetype)) {
+    if (!ALLOWED_VIDEO_TYPES.includes(req.file.mimetype)) {
       // Clean up the file
       await fs.unlink(req.file.path);
       return res.status(400).json({
@@ -1,23 +1,64 @@
 // server/models.js
 import mongoose from "mongoose";
 
+// Version of the SRTResult shape, bumped whenever a migration is needed
+// 1: original SRTResult, 2: consolidated with the Analysis and Result models,
+// 3: media referenced by storage key instead of local path,
+// 4: scoped to an organization, 5: completedAt set on every completed result
+export const RESULT_SCHEMA_VERSION = 5;
+
+// Scores only exist once the analysis job has finished
+const requiredWhenCompleted = function () {
+  return this.processingStatus === "completed";
+};
+
+// Migrated records never had pose-based component scores
+const requiredWhenAnalysed = function () {
+  return (
+    this.processingStatus === "completed" && !this.legacySource?.collection
+  );
+};
+
 const srtResultSchema = new mongoose.Schema({
+  schemaVersion: {
+    type: Number,
+    default: RESULT_SCHEMA_VERSION,
+  },
+
+  // Ownership, every query is scoped to the caller's organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    required: true,
+    index: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+
   // Basic scores
   sitScore: {
     type: Number,
-    required: true,
+    required: requiredWhenCompleted,
     min: 0,
     max: 5,
   },
   riseScore: {
     type: Number,
-    required: true,
+    required: requiredWhenCompleted,
     min: 0,
     max: 5,
   },
   totalScore: {
     type: Number,
-    required: true,
+    required: requiredWhenCompleted,
     min: 0,
     max: 10,
   },
@@ -25,23 +66,101 @@ const srtResultSchema = new mongoose.Schema({
   // Detailed analysis
   posturalControl: {
     type: Number,
-    required: true,
+    required: requiredWhenAnalysed,
     min: 0,
     max: 1,
   },
   balance: {
     type: Number,
-    required: true,
+    required: requiredWhenAnalysed,
     min: 0,
     max: 1,
   },
   coordination: {
     type: Number,
-    required: true,
+    required: requiredWhenAnalysed,
     min: 0,
     max: 1,
   },
 
+  // Demographics captured with the upload, used for normative comparison
+  demographics: {
+    age: {
+      type: Number,
+      min: 0,
+      max: 120,
+    },
+    sex: {
+      type: String,
+      enum: ["male", "female"],
+    },
+  },
+
+  // Risk stratification
+  riskLevel: {
+    type: String,
+    enum: ["low", "moderate", "high"],
+  },
+  normative: {
+    basis: {
+      type: String,
+      enum: ["age-sex", "absolute"],
+    },
+    percentile: Number,
+    ageBand: String,
+    sex: String,
+  },
+
+  // Scoring method and the protocol deductions behind clinical scores
+  scoringMode: {
+    type: String,
+    enum: ["quality", "clinical"],
+    default: "quality",
+  },
+  // Versioned scoring profile the scores were computed with
+  scoringProfile: {
+    id: String,
+    version: Number,
+  },
+  deductions: [
+    {
+      _id: false,
+      type: {
+        type: String,
+        enum: ["hand", "forearm", "knee", "side", "hand_on_knee", "balance"],
+      },
+      points: Number,
+      phase: {
+        type: String,
+        enum: ["sitting", "rising"],
+      },
+      side: {
+        type: String,
+        enum: ["left", "right"],
+      }, // Limb of a support, one deduction each
+      timestamp: Number, // Seconds into the video
+      frameIndex: Number,
+    },
+  ],
+
+  // Left/right comparison, the primary side is the one facing the camera
+  asymmetry: {
+    primarySide: {
+      type: String,
+      enum: ["left", "right"],
+    },
+    framesCompared: Number,
+    kneeAngleDifference: Number, // Mean degrees
+    hipAngleDifference: Number,
+    index: Number, // 0 (symmetric) - 1
+  },
+
+  // Pose estimation model that produced the keypoints
+  poseModel: {
+    name: String,
+    version: String,
+  },
+
   // Movement phases
   sittingPhase: {
     kneeFlexion: Number,
@@ -60,13 +179,60 @@ const srtResultSchema = new mongoose.Schema({
     improvements: [String],
     recommendations: [String],
   },
+  recommendations: [
+    {
+      _id: false,
+      area: String,
+      exercises: [String],
+      priority: {
+        type: String,
+        enum: ["low", "medium", "high"],
+      },
+    },
+  ],
 
-  // Media
-  videoPath: {
+  // Repeat submissions resolve to this result instead of a new analysis
+  contentHash: String, // SHA-256 of the uploaded video, hex
+  idempotencyKey: String, // Client-supplied, unique per uploader
+
+  // Media, as keys in the configured storage backend
+  videoKey: {
     type: String,
     required: true,
   },
-  keyFrames: [String],
+  keyFrames: [
+    {
+      _id: false,
+      label: String,
+      frameIndex: Number,
+      supports: [String],
+      key: String,
+      thumbnailKey: String,
+    },
+  ],
+  annotatedVideoKey: String,
+  // When each kind of media was deleted under the retention policy
+  mediaPurge: {
+    video: Date,
+    annotatedVideo: Date,
+    keyFrames: Date,
+  },
+
+  // Patient picked out by the user when several people are in view,
+  // as fractions of the frame
+  subjectBox: {
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number,
+  },
+
+  // Measurements from the pre-analysis quality check
+  qualityCheck: {
+    duration: Number, // Seconds
+    framesSampled: Number,
+    meanBrightness: Number, // 0 - 1
+  },
 
   // Metadata
   timestamp: {
@@ -78,6 +244,465 @@ const srtResultSchema = new mongoose.Schema({
     enum: ["pending", "processing", "completed", "failed"],
     default: "pending",
   },
+  processingError: String,
+  completedAt: Date,
+  // Set while an instance runs the analysis, so only one of them does
+  lockedUntil: Date,
+  lockedBy: String,
+
+  // Scores replaced by re-scoring the stored pose data, oldest first
+  rescoredAt: Date,
+  scoreHistory: [
+    {
+      _id: false,
+      sitScore: Number,
+      riseScore: Number,
+      totalScore: Number,
+      posturalControl: Number,
+      balance: Number,
+      coordination: Number,
+      riskLevel: String,
+      scoringMode: String,
+      scoringProfile: {
+        id: String,
+        version: Number,
+      },
+      deductions: [
+        {
+          _id: false,
+          type: { type: String },
+          points: Number,
+          phase: String,
+          side: String,
+          timestamp: Number,
+          frameIndex: Number,
+        },
+      ],
+      scoredAt: Date,
+      replacedAt: Date,
+      replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+    },
+  ],
+
+  // Clinician review, the automated scores above are left untouched
+  review: {
+    status: {
+      type: String,
+      enum: ["unreviewed", "reviewed"],
+      default: "unreviewed",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    // Phase score overrides, unset while the automated score stands
+    sitScore: { type: Number, min: 0, max: 5 },
+    riseScore: { type: Number, min: 0, max: 5 },
+    addedDeductions: [
+      {
+        type: {
+          type: String,
+          enum: ["hand", "forearm", "knee", "side", "hand_on_knee", "balance"],
+        },
+        points: Number,
+        phase: {
+          type: String,
+          enum: ["sitting", "rising"],
+        },
+        side: {
+          type: String,
+          enum: ["left", "right"],
+        },
+        timestamp: Number,
+        frameIndex: Number,
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+    // Automated deductions the clinician rejected, matched on
+    // type, phase, side and frameIndex
+    removedDeductions: [
+      {
+        _id: false,
+        type: { type: String },
+        points: Number,
+        phase: String,
+        side: String,
+        timestamp: Number,
+        frameIndex: Number,
+        removedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+  },
+  // Every review change, oldest first
+  reviewHistory: [
+    {
+      _id: false,
+      action: {
+        type: String,
+        enum: [
+          "score_overridden",
+          "override_cleared",
+          "deduction_added",
+          "deduction_removed",
+          "reviewed",
+          "reopened",
+        ],
+      },
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+      deduction: {
+        type: { type: String },
+        points: Number,
+        phase: String,
+        side: String,
+        timestamp: Number,
+        frameIndex: Number,
+      },
+      reason: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      changedAt: Date,
+    },
+  ],
+
+  // Where a migrated record came from
+  legacySource: {
+    collection: String,
+    id: mongoose.Schema.Types.ObjectId,
+  },
 });
 
+srtResultSchema.index(
+  { "legacySource.collection": 1, "legacySource.id": 1 },
+  { unique: true, sparse: true }
+);
+// One result per video, owner and analysis settings. Replaces the index
+// without poseModel and demographics, npm run migrate:results drops that one.
+srtResultSchema.index(
+  {
+    owner: 1,
+    contentHash: 1,
+    scoringMode: 1,
+    "scoringProfile.id": 1,
+    "scoringProfile.version": 1,
+    "poseModel.name": 1,
+    "demographics.age": 1,
+    "demographics.sex": 1,
+  },
+  { unique: true, partialFilterExpression: { contentHash: { $exists: true } } }
+);
+srtResultSchema.index(
+  { uploadedBy: 1, idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $exists: true } },
+  }
+);
+
 export const SRTResult = mongoose.model("SRTResult", srtResultSchema);
+
+// A clinic using the service, its users and results are isolated from
+// every other organization
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Unset values fall back to the server-wide defaults
+    settings: {
+      scoringProfile: String, // Default for uploads
+      retention: {
+        videoDays: { type: Number, min: 0 },
+        annotatedVideoDays: { type: Number, min: 0 },
+        keyFramesDays: { type: Number, min: 0 },
+      },
+      allowedOrigins: [String], // In addition to FRONTEND_URL
+    },
+  },
+  { timestamps: true }
+);
+
+export const Organization = mongoose.model("Organization", organizationSchema);
+
+const userSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["patient", "clinician", "admin"],
+      default: "patient",
+    },
+
+    // Clinicians allowed to see this patient's reports
+    clinicians: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  },
+  { timestamps: true }
+);
+
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export const User = mongoose.model("User", userSchema);
+
+// Per-frame keypoints of an analysis, kept apart so results stay small.
+// Each frame stores [x, y, score] triples in keypointNames order.
+const poseTimelineSchema = new mongoose.Schema(
+  {
+    result: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SRTResult",
+      required: true,
+      unique: true,
+    },
+    poseModel: {
+      name: String,
+      version: String,
+    },
+    keypointNames: [String],
+    transitionFrame: Number,
+    // Frame size in pixels, keypoint coordinates are relative to it
+    imageSize: {
+      width: Number,
+      height: Number,
+    },
+    frames: [
+      {
+        _id: false,
+        index: Number,
+        timestamp: Number, // Seconds into the video
+        values: [Number],
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+export const PoseTimeline = mongoose.model("PoseTimeline", poseTimelineSchema);
+
+// Resumable upload in progress, chunks are appended at `offset` until it
+// reaches `size`. Expired sessions are removed by the TTL index.
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    filename: String,
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    checksum: String, // Expected SHA-256, hex
+    // Chunks received so far, stored as separate objects until completion
+    parts: [
+      {
+        _id: false,
+        key: String,
+        size: Number,
+      },
+    ],
+    // Analysis fields submitted with the upload, as for POST /analyse
+    fields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "completing", "completed"],
+      default: "uploading",
+    },
+    result: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SRTResult",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
+
+export const WEBHOOK_EVENTS = [
+  "analysis.completed",
+  "analysis.failed",
+  "review.updated",
+];
+
+// An organization's subscription to result events, deliveries are signed
+// with `secret`
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    events: {
+      type: [String],
+      enum: WEBHOOK_EVENTS,
+      required: true,
+    },
+    description: String,
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+webhookEndpointSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export const WebhookEndpoint = mongoose.model(
+  "WebhookEndpoint",
+  webhookEndpointSchema
+);
+
+// One event sent to one endpoint, with the outcome of its latest attempt.
+// Old entries are removed by the TTL index.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: WEBHOOK_EVENTS,
+      required: true,
+    },
+    result: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SRTResult",
+    },
+    // Exact body sent, redeliveries resend it unchanged
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: Date,
+    responseStatus: Number,
+    error: String,
+    lockedUntil: Date, // Set while an instance is sending it
+    lockedBy: String,
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      index: { expireAfterSeconds: 30 * 24 * 60 * 60 },
+    },
+  },
+  { timestamps: { createdAt: false, updatedAt: true } }
+);
+
+webhookDeliverySchema.index({ endpoint: 1, _id: -1 });
+
+export const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
@@ -2,8 +2,66 @@
 import express from "express";
 import multer from "multer";
 import path from "path";
-import { analyzeVideo, getReport } from "./controllers/srtController.js";
+import {
+  analyzeVideo,
+  exportKeypoints,
+  getKeyFrame,
+  getReport,
+  getReportMedia,
+  getReportPdf,
+  getScoringProfiles,
+  listKeyFrames,
+  precheckVideo,
+  rescoreReport,
+  reviewReport,
+  streamAnalysisEvents,
+} from "./controllers/srtController.js";
+import {
+  getCurrentUser,
+  login,
+  register,
+} from "./controllers/authController.js";
+import {
+  assignClinician,
+  createUser,
+  listPatients,
+} from "./controllers/userController.js";
+import { getPatientHistory } from "./controllers/historyController.js";
+import {
+  exportFhir,
+  getFhirBundle,
+  getFhirDiagnosticReport,
+  getFhirObservation,
+} from "./controllers/fhirController.js";
+import {
+  getOrganization,
+  updateOrganizationSettings,
+} from "./controllers/organizationController.js";
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  listWebhooks,
+  redeliverWebhook,
+  updateWebhook,
+} from "./controllers/webhookController.js";
+import {
+  cancelUpload,
+  completeUpload,
+  createUpload,
+  getUploadStatus,
+  uploadChunk,
+} from "./controllers/uploadController.js";
 import { validateVideo } from "./middleware/validateVideo.js";
+import { requireVideoQuality } from "./middleware/requireVideoQuality.js";
+import { requireOrganization } from "./middleware/requireOrganization.js";
+import { getDirectMaxBytes } from "./services/uploadService.js";
+import {
+  authenticate,
+  authenticateStream,
+  authorize,
+} from "./middleware/auth.js";
 
 const router = express.Router();
 
@@ -27,12 +85,111 @@ const upload = multer({
     }
   },
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB
+    fileSize: getDirectMaxBytes(),
   },
 });
 
-// Routes
-router.post("/analyse", upload.single("video"), validateVideo, analyzeVideo);
+// Public routes
+router.post("/auth/register", register);
+router.post("/auth/login", login);
+
+// Streams authenticate separately since EventSource cannot set headers
+router.get(
+  "/analyse/:id/events",
+  authenticateStream,
+  requireOrganization,
+  streamAnalysisEvents
+);
+
+// Everything below requires a valid token
+router.use(authenticate);
+
+router.get("/auth/me", getCurrentUser);
+
+// and membership of an organization, which scopes every query
+router.use(requireOrganization);
+
+router.get("/organization", getOrganization);
+router.patch(
+  "/organization/settings",
+  authorize("admin"),
+  updateOrganizationSettings
+);
+
+// Outbound webhooks for result events
+router.get("/webhooks", authorize("admin"), listWebhooks);
+router.post("/webhooks", authorize("admin"), createWebhook);
+router.patch("/webhooks/:id", authorize("admin"), updateWebhook);
+router.delete("/webhooks/:id", authorize("admin"), deleteWebhook);
+router.get(
+  "/webhooks/:id/deliveries",
+  authorize("admin"),
+  listWebhookDeliveries
+);
+router.get(
+  "/webhooks/:id/deliveries/:deliveryId",
+  authorize("admin"),
+  getWebhookDelivery
+);
+router.post(
+  "/webhooks/:id/deliveries/:deliveryId/redeliver",
+  authorize("admin"),
+  redeliverWebhook
+);
+
+router.post("/users", authorize("admin"), createUser);
+router.get("/users/patients", authorize("clinician", "admin"), listPatients);
+router.post("/users/:id/clinicians", authorize("admin"), assignClinician);
+
+router.post(
+  "/analyse/precheck",
+  upload.single("video"),
+  validateVideo,
+  precheckVideo
+);
+router.post(
+  "/analyse",
+  upload.single("video"),
+  validateVideo,
+  requireVideoQuality,
+  analyzeVideo
+);
+// Resumable uploads, completing one starts the analysis like POST /analyse
+router.post("/uploads", createUpload);
+router.get("/uploads/:id", getUploadStatus);
+router.patch("/uploads/:id", uploadChunk);
+router.delete("/uploads/:id", cancelUpload);
+router.post(
+  "/uploads/:id/complete",
+  completeUpload,
+  validateVideo,
+  requireVideoQuality,
+  analyzeVideo
+);
+
+router.get("/scoring-profiles", getScoringProfiles);
 router.get("/report/:id", getReport);
+router.get("/report/:id/pdf", getReportPdf);
+router.get("/report/:id/media/:type", getReportMedia);
+router.get("/report/:id/frames", listKeyFrames);
+router.get("/report/:id/frames/:label", getKeyFrame);
+router.get("/report/:id/keypoints", exportKeypoints);
+router.get("/report/:id/fhir", getFhirBundle);
+router.post(
+  "/report/:id/rescore",
+  authorize("clinician", "admin"),
+  rescoreReport
+);
+router.patch(
+  "/report/:id/review",
+  authorize("clinician", "admin"),
+  reviewReport
+);
+router.get("/patients/:id/history", getPatientHistory);
+
+// HL7 FHIR R4 export for partner EHRs
+router.get("/fhir/Observation/:id", getFhirObservation);
+router.get("/fhir/DiagnosticReport/:id", getFhirDiagnosticReport);
+router.get("/fhir/:operation(\\$export)", exportFhir);
 
 export default router;
@@ -0,0 +1,69 @@
+// server/scripts/createAdmin.js
+// Creates an admin account, or promotes an existing user to admin. Admins
+// create every other non-patient account through POST /api/users.
+//
+// Usage: npm run user:create-admin -- --email=<email>
+//          [--password=<password> --organization=<slug> --name=<name>]
+//   --password and --organization are required when the user does not
+//   exist yet
+import "dotenv/config";
+import mongoose from "mongoose";
+import { Organization, User } from "../models.js";
+import { hashPassword, isValidPassword } from "../services/authService.js";
+import { argValue } from "./scriptArgs.js";
+
+const parseArgs = (argv) => ({
+  email: argValue(argv, "email"),
+  password: argValue(argv, "password"),
+  organization: argValue(argv, "organization"),
+  name: argValue(argv, "name"),
+});
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.email) throw new Error("--email is required");
+  if (options.password !== undefined && !isValidPassword(options.password)) {
+    throw new Error("--password must be at least 8 characters");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const existing = await User.findOne({ email: options.email.toLowerCase() });
+  if (existing) {
+    existing.role = "admin";
+    if (options.password) {
+      existing.passwordHash = await hashPassword(options.password);
+    }
+    await existing.save();
+    console.log(`Promoted ${existing.email} to admin`);
+    return;
+  }
+
+  if (!options.password || !options.organization) {
+    throw new Error(
+      "--password and --organization are required for a new user"
+    );
+  }
+  const organization = await Organization.findOne({
+    slug: options.organization.toLowerCase(),
+  });
+  if (!organization) {
+    throw new Error(`Unknown organization ${options.organization}`);
+  }
+
+  const admin = await User.create({
+    organization: organization._id,
+    email: options.email,
+    name: options.name,
+    role: "admin",
+    passwordHash: await hashPassword(options.password),
+  });
+  console.log(`Created admin ${admin.email} in ${organization.slug}`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Creating the admin failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,69 @@
+// server/scripts/createOrganization.js
+// Creates an organization, optionally with its first admin, and can adopt
+// the users created before organizations existed.
+//
+// Usage: npm run org:create -- --name=<name> --slug=<slug>
+//          [--admin-email=<email> --admin-password=<password>]
+//          [--assign-unscoped]
+//   --assign-unscoped  move every user without an organization into this one,
+//                      then run migrate:results to move their results
+import "dotenv/config";
+import mongoose from "mongoose";
+import { Organization, User } from "../models.js";
+import { hashPassword, isValidPassword } from "../services/authService.js";
+import { argValue } from "./scriptArgs.js";
+
+const parseArgs = (argv) => ({
+  name: argValue(argv, "name"),
+  slug: argValue(argv, "slug"),
+  adminEmail: argValue(argv, "admin-email"),
+  adminPassword: argValue(argv, "admin-password"),
+  assignUnscoped: argv.includes("--assign-unscoped"),
+});
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.name || !/^[a-z0-9-]+$/.test(options.slug || "")) {
+    throw new Error(
+      "--name and a --slug of lowercase letters, digits and dashes are required"
+    );
+  }
+  if (options.adminEmail && !isValidPassword(options.adminPassword)) {
+    throw new Error("--admin-password of at least 8 characters is required");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const organization = await Organization.create({
+    name: options.name,
+    slug: options.slug,
+  });
+  console.log(
+    `Created organization ${organization.slug} (${organization._id})`
+  );
+
+  if (options.adminEmail) {
+    const admin = await User.create({
+      organization: organization._id,
+      email: options.adminEmail,
+      role: "admin",
+      passwordHash: await hashPassword(options.adminPassword),
+    });
+    console.log(`Created admin ${admin.email}`);
+  }
+
+  if (options.assignUnscoped) {
+    const { modifiedCount } = await User.updateMany(
+      { organization: { $exists: false } },
+      { organization: organization._id }
+    );
+    console.log(`Assigned ${modifiedCount} existing users`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Creating the organization failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,216 @@
+// server/scripts/migrateResults.js
+// Moves documents from the retired `analyses` and `results` collections into
+// SRTResult and upgrades older SRTResult documents to the current schema,
+// copying media still on local disk into the configured storage backend
+// and placing results in their owner's organization. Also brings the
+// SRTResult indexes in line with the schema.
+//
+// Usage: npm run migrate:results -- [--dry-run] [--owner=<userId>]
+//   --owner  patient to assign records that have no usable owner
+import "dotenv/config";
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import { RESULT_SCHEMA_VERSION, SRTResult, User } from "../models.js";
+import {
+  fromAnalysis,
+  fromLegacyResult,
+  upgradeSrtResult,
+} from "../services/resultMigration.js";
+import { getStorage, storageKeys } from "../services/storageService.js";
+import { argValue } from "./scriptArgs.js";
+
+const parseArgs = (argv) => ({
+  dryRun: argv.includes("--dry-run"),
+  owner: argValue(argv, "owner"),
+});
+
+const collectionExists = async (name) =>
+  (await mongoose.connection.db.listCollections({ name }).toArray()).length > 0;
+
+/**
+ * Convert every document of a legacy collection, skipping ones already moved
+ */
+const migrateCollection = async (name, convert, { dryRun, owner }) => {
+  const stats = { migrated: 0, alreadyMigrated: 0, skipped: 0, failed: 0 };
+  if (!(await collectionExists(name))) return stats;
+
+  const cursor = mongoose.connection.db.collection(name).find();
+  for await (const doc of cursor) {
+    const exists = await SRTResult.exists({
+      "legacySource.collection": name,
+      "legacySource.id": doc._id,
+    });
+    if (exists) {
+      stats.alreadyMigrated++;
+      continue;
+    }
+
+    const fields = convert(doc, owner);
+    const ownerUser =
+      fields.owner && (await User.findById(fields.owner, "organization"));
+    if (!ownerUser) {
+      console.warn(`Skipping ${name}/${doc._id}: no owner, pass --owner=<id>`);
+      stats.skipped++;
+      continue;
+    }
+    if (!ownerUser.organization) {
+      console.warn(
+        `Skipping ${name}/${doc._id}: owner ${ownerUser._id} has no organization, run org:create first`
+      );
+      stats.skipped++;
+      continue;
+    }
+    fields.organization = ownerUser.organization;
+
+    try {
+      const result = new SRTResult(fields);
+      await result.validate();
+      if (!dryRun) await result.save();
+      stats.migrated++;
+    } catch (error) {
+      console.error(`Failed to migrate ${name}/${doc._id}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Copy one local media file into storage, resolving with its key or
+ * undefined when the file is gone
+ */
+const storeLocalFile = async (filePath, key, dryRun) => {
+  if (!filePath || !(await fs.stat(filePath).catch(() => null))) return;
+  if (!dryRun) await getStorage().putFile(key, filePath);
+  return key;
+};
+
+/**
+ * Storage keys for the media of a document written before version 3
+ */
+const storeLegacyMedia = async (doc, dryRun) => {
+  const id = doc._id;
+  const keyFrames = [];
+  for (const frame of doc.keyFrames || []) {
+    if (typeof frame === "string") continue;
+    keyFrames.push({
+      key: await storeLocalFile(
+        frame.path,
+        storageKeys.keyFrame(id, `${frame.label}.jpg`),
+        dryRun
+      ),
+      thumbnailKey: await storeLocalFile(
+        frame.thumbnailPath,
+        storageKeys.keyFrame(id, `${frame.label}-thumb.jpg`),
+        dryRun
+      ),
+    });
+  }
+
+  return {
+    videoKey: await storeLocalFile(
+      doc.videoPath,
+      storageKeys.video(id, doc.videoPath),
+      dryRun
+    ),
+    annotatedVideoKey: await storeLocalFile(
+      doc.annotatedVideoPath,
+      storageKeys.annotatedVideo(id),
+      dryRun
+    ),
+    keyFrames,
+  };
+};
+
+/**
+ * Upgrade SRTResult documents written before the current schema version
+ */
+const upgradeSrtResults = async ({ dryRun, owner: defaultOwner }) => {
+  const stats = {
+    upgraded: 0,
+    filesStored: 0,
+    withoutOwner: 0,
+    withoutOrganization: 0,
+  };
+  const cursor = SRTResult.collection.find({
+    $or: [
+      { schemaVersion: { $exists: false } },
+      { schemaVersion: { $lt: RESULT_SCHEMA_VERSION } },
+    ],
+  });
+
+  for await (const doc of cursor) {
+    // Version 1 results were saved without an owner
+    const ownerId = doc.owner || defaultOwner;
+    const owner =
+      ownerId &&
+      (!doc.owner || !doc.organization) &&
+      (await User.findById(ownerId, "organization"));
+    // Both stay below the current version so a later run picks them up
+    if (!doc.owner && !owner) {
+      console.warn(`Result ${doc._id}: no owner, pass --owner=<id>`);
+      stats.withoutOwner++;
+      continue;
+    }
+    if (!doc.organization && !owner?.organization) {
+      console.warn(
+        `Result ${doc._id}: owner has no organization, run org:create first`
+      );
+      stats.withoutOrganization++;
+      continue;
+    }
+
+    const stored = await storeLegacyMedia(doc, dryRun);
+    stats.filesStored += [
+      stored.videoKey,
+      stored.annotatedVideoKey,
+      ...stored.keyFrames.flatMap((frame) => [frame.key, frame.thumbnailKey]),
+    ].filter(Boolean).length;
+
+    if (!dryRun) {
+      await SRTResult.collection.updateOne(
+        { _id: doc._id },
+        upgradeSrtResult(doc, stored, {
+          owner: owner?._id,
+          organization: owner?.organization,
+        })
+      );
+    }
+    stats.upgraded++;
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.owner && !mongoose.isValidObjectId(options.owner)) {
+    throw new Error(`Invalid --owner id: ${options.owner}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(
+    `Migrating results${options.dryRun ? " (dry run, nothing is written)" : ""}`
+  );
+
+  const report = {
+    srtresults: await upgradeSrtResults(options),
+    analyses: await migrateCollection("analyses", fromAnalysis, options),
+    results: await migrateCollection("results", fromLegacyResult, options),
+  };
+
+  console.table(report);
+  // Replaces indexes whose keys changed, such as the duplicate upload one
+  if (!options.dryRun) {
+    await SRTResult.syncIndexes();
+    console.log("SRTResult indexes synced");
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,82 @@
+// server/scripts/rescoreResults.js
+// Re-scores completed results from their stored keypoints, without pose
+// detection. Replaced scores are kept in each result's scoreHistory.
+//
+// Usage: npm run rescore:results -- [--dry-run] [--mode=<scoringMode>]
+//          [--profile=<profileId>] [--since=<date>] [--reason=<text>]
+//   --mode     scoring mode to apply, defaults to each result's own mode
+//   --profile  scoring profile to apply (latest version), defaults to the
+//              latest version of each result's own profile
+//   --since    only results completed on or after this date
+import "dotenv/config";
+import mongoose from "mongoose";
+import { PoseTimeline, SRTResult } from "../models.js";
+import { rescoreResult } from "../services/rescoreService.js";
+import { SCORING_MODES } from "../services/tensorflowService.js";
+import { getScoringProfile } from "../services/scoringProfiles.js";
+import { argValue } from "./scriptArgs.js";
+
+const parseArgs = (argv) => ({
+  dryRun: argv.includes("--dry-run"),
+  scoringMode: argValue(argv, "mode"),
+  profileId: argValue(argv, "profile"),
+  since: argValue(argv, "since"),
+  reason: argValue(argv, "reason") || "Bulk re-score",
+});
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.scoringMode && !SCORING_MODES.includes(options.scoringMode)) {
+    throw new Error(`Invalid --mode. Supported: ${SCORING_MODES.join(", ")}`);
+  }
+  const profile = options.profileId && getScoringProfile(options.profileId);
+  if (options.profileId && !profile) {
+    throw new Error(`Unknown --profile: ${options.profileId}`);
+  }
+  const since = options.since && new Date(options.since);
+  if (since && isNaN(since)) {
+    throw new Error(`Invalid --since date: ${options.since}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(
+    `Re-scoring results${options.dryRun ? " (dry run, nothing is written)" : ""}`
+  );
+
+  // Only results with stored keypoints can be re-scored
+  const resultIds = await PoseTimeline.distinct("result");
+  const query = { _id: { $in: resultIds }, processingStatus: "completed" };
+  if (since) query.completedAt = { $gte: since };
+
+  const stats = { rescored: 0, changed: 0, failed: 0 };
+  for await (const result of SRTResult.find(query).cursor()) {
+    const previousTotal = result.totalScore;
+    try {
+      await rescoreResult(result, {
+        scoringMode: options.scoringMode,
+        profile: profile || undefined,
+        reason: options.reason,
+        persist: !options.dryRun,
+      });
+      stats.rescored++;
+      if (result.totalScore !== previousTotal) {
+        stats.changed++;
+        console.log(
+          `${result._id}: total ${previousTotal} -> ${result.totalScore}`
+        );
+      }
+    } catch (error) {
+      console.error(`Failed to re-score ${result._id}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  console.table(stats);
+};
+
+run()
+  .catch((error) => {
+    console.error("Re-scoring failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,11 @@
+// server/scripts/scriptArgs.js
+// Command line parsing shared by the maintenance scripts
+
+/**
+ * Value of a `--name=value` argument, everything after the first "=" so
+ * values may contain "=" themselves. Undefined when not given.
+ */
+export const argValue = (argv, name) => {
+  const prefix = `--${name}=`;
+  return argv.find((arg) => arg.startsWith(prefix))?.slice(prefix.length);
+};
@@ -0,0 +1,35 @@
+// server/scripts/sweepMedia.js
+// Runs the retention sweep once: deletes media past the retention period
+// and files left behind by crashed analyses or abandoned uploads.
+//
+// Usage: npm run sweep:media -- [--dry-run]
+//   Retention periods come from each organization's settings, falling back
+//   to RETENTION_VIDEO_DAYS, RETENTION_ANNOTATED_VIDEO_DAYS and
+//   RETENTION_KEY_FRAMES_DAYS, as for the server
+import "dotenv/config";
+import mongoose from "mongoose";
+import {
+  getRetentionPolicy,
+  runRetentionSweep,
+} from "../services/retentionService.js";
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+  const policy = getRetentionPolicy();
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(
+    `Sweeping media${dryRun ? " (dry run, nothing is deleted)" : ""}`,
+    { serverDefaults: policy }
+  );
+
+  const { purged, orphaned } = await runRetentionSweep({ dryRun });
+  console.table({ ...purged, ...orphaned });
+};
+
+run()
+  .catch((error) => {
+    console.error("Sweep failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
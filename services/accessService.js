@@ -0,0 +1,43 @@
+// server/services/accessService.js
+import { User } from "../models.js";
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+/**
+ * Mongo filter for documents of the user's own organization
+ */
+export const organizationScope = (user) => ({
+  organization: user.organization,
+});
+
+/**
+ * Whether a user may see data belonging to a patient. Never across
+ * organizations, whatever the role.
+ */
+export const canAccessPatient = async (user, patientId) => {
+  if (!user?.organization || !patientId) return false;
+  if (user.role === "patient") return sameId(user._id, patientId);
+
+  const filter = { _id: patientId, ...organizationScope(user) };
+  if (user.role === "admin") return Boolean(await User.exists(filter));
+  if (user.role === "clinician") {
+    return Boolean(await User.exists({ ...filter, clinicians: user._id }));
+  }
+  return false;
+};
+
+export const canAccessResult = async (user, result) =>
+  sameId(result.organization, user?.organization) &&
+  canAccessPatient(user, result.owner);
+
+/**
+ * Mongo filter limiting SRTResult queries to what a user may see
+ */
+export const resultScopeFor = async (user) => {
+  const scope = organizationScope(user);
+  if (user.role === "admin") return scope;
+  if (user.role === "patient") return { ...scope, owner: user._id };
+
+  const patients = await User.find({ ...scope, clinicians: user._id }, "_id");
+  return { ...scope, owner: { $in: patients.map((patient) => patient._id) } };
+};
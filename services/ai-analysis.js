@@ -1,60 +0,0 @@
-
-import * as tf from '@tensorflow/tfjs-node';
-import * as poseDetection from '@tensorflow-models/pose-detection';
-
-export class SRTAnalyzer {
-  constructor() {
-    this.detector = null;
-    this.initializeModel();
-  }
-
-  async initializeModel() {
-    const model = poseDetection.SupportedModels.BlazePose;
-    this.detector = await poseDetection.createDetector(model, {
-      runtime: 'tfjs',
-      modelType: 'full'
-    });
-  }
-
-  async analyzeFrame(frame) {
-    const poses = await this.detector.estimatePoses(frame);
-    return this.calculateScores(poses);
-  }
-
-  calculateScores(poses) {
-    const scores = {
-      sitting: 5,
-      rising: 5,
-      deductions: []
-    };
-
-    // Analysis logic for different movements
-    // Check for hand support
-    if (this.detectHandSupport(poses)) {
-      scores.deductions.push({ type: 'hand', points: -1 });
-    }
-
-    // Check for knee support
-    if (this.detectKneeSupport(poses)) {
-      scores.deductions.push({ type: 'knee', points: -1 });
-    }
-
-    // Calculate final scores
-    scores.total = this.calculateFinalScore(scores);
-    return scores;
-  }
-
-  detectHandSupport(poses) {
-    // Implementation of hand support detection
-  }
-
-  detectKneeSupport(poses) {
-    // Implementation of knee support detection
-  }
-
-  calculateFinalScore(scores) {
-    // Calculate final score based on deductions
-    return scores.sitting + scores.rising - 
-           scores.deductions.reduce((total, ded) => total + ded.points, 0);
-  }
-}
\ No newline at end of file
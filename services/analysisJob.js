@@ -0,0 +1,216 @@
+// server/services/analysisJob.js
+import { analyzeSRTVideo } from "./tensorflowService.js";
+import { cleanupFrames } from "./videoService.js";
+import { renderAnnotatedVideo } from "./annotationService.js";
+import { createMediaWorkDir, removeWorkDir } from "./mediaService.js";
+import { persistKeyFrames } from "./keyFrameService.js";
+import { getStorage, storageKeys, withLocalFile } from "./storageService.js";
+import { applyScoring } from "./resultFields.js";
+import { getScoringProfile } from "./scoringProfiles.js";
+import { createJobQueue, INSTANCE_ID, lockedBeforeStart } from "./jobQueue.js";
+import { publishProgress } from "./progressService.js";
+import { toCompactTimeline } from "./poseTimelineService.js";
+import { publishWebhookEvent } from "./webhookService.js";
+import { PoseTimeline, SRTResult } from "../models.js";
+
+const analysisQueue = createJobQueue({
+  concurrency: Number(process.env.ANALYSIS_CONCURRENCY) || 1,
+  maxRetries: Number(process.env.ANALYSIS_MAX_RETRIES ?? 2),
+  retryDelay: Number(process.env.ANALYSIS_RETRY_DELAY) || 2000,
+});
+
+// Longest an analysis may run before another instance may take it over,
+// after a crash for example
+const ANALYSIS_LOCK_MS =
+  (Number(process.env.ANALYSIS_LOCK_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * Claim a result for this instance, null when it is finished or another
+ * instance is analysing it
+ */
+const claimResult = (resultId) =>
+  SRTResult.findOneAndUpdate(
+    {
+      _id: resultId,
+      processingStatus: { $in: ["pending", "processing"] },
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: { $lt: new Date() } },
+      ],
+    },
+    {
+      processingStatus: "processing",
+      lockedUntil: new Date(Date.now() + ANALYSIS_LOCK_MS),
+      lockedBy: INSTANCE_ID,
+    },
+    { new: true }
+  );
+
+const releaseResult = (resultId) =>
+  SRTResult.updateOne(
+    { _id: resultId },
+    { $unset: { lockedUntil: "", lockedBy: "" } }
+  );
+
+/**
+ * Run the analysis pipeline for a claimed result
+ */
+const analyseResult = async (result, attempt) => {
+  const resultId = result._id;
+  publishProgress(resultId, { stage: "processing", percent: 0, attempt });
+
+  // Score with the profile version pinned at upload
+  const { id, version } = result.scoringProfile || {};
+  const profile = getScoringProfile(id || undefined, version ?? undefined);
+  if (!profile) {
+    throw new Error(`Scoring profile ${id}@${version} is no longer configured`);
+  }
+
+  const analysis = await withLocalFile(result.videoKey, (videoPath) =>
+    analyzeSRTVideo(videoPath, {
+      scoringMode: result.scoringMode,
+      profile,
+      poseModel: result.poseModel?.name,
+      subjectBox: result.subjectBox?.width ? result.subjectBox : undefined,
+      onProgress: (event) => publishProgress(resultId, event),
+    })
+  );
+
+  // Media is best effort, a failure here keeps the scores
+  const workDir = await createMediaWorkDir(resultId);
+  try {
+    result.keyFrames = await persistKeyFrames(analysis, resultId, workDir);
+  } catch (keyFrameError) {
+    console.warn("Key frame persistence warning:", keyFrameError);
+  }
+  try {
+    publishProgress(resultId, { stage: "rendering", status: "started" });
+    const annotatedPath = await renderAnnotatedVideo(analysis, workDir);
+    const annotatedKey = storageKeys.annotatedVideo(resultId);
+    await getStorage().putFile(annotatedKey, annotatedPath, {
+      contentType: "video/mp4",
+    });
+    result.annotatedVideoKey = annotatedKey;
+  } catch (renderError) {
+    console.warn("Annotated video rendering warning:", renderError);
+  }
+  await removeWorkDir(workDir);
+
+  // Raw keypoints are kept for export and re-scoring
+  await PoseTimeline.findOneAndUpdate(
+    { result: resultId },
+    { result: resultId, ...toCompactTimeline(analysis) },
+    { upsert: true }
+  );
+
+  applyScoring(result, analysis);
+  Object.assign(result, {
+    poseModel: analysis.poseModel,
+    processingStatus: "completed",
+    processingError: undefined,
+    completedAt: new Date(),
+    lockedUntil: undefined,
+    lockedBy: undefined,
+  });
+  await result.save();
+  publishProgress(resultId, {
+    stage: "completed",
+    percent: 100,
+    performance: analysis.performance,
+  });
+  publishWebhookEvent("analysis.completed", result);
+
+  // Cleanup temporary frame files, key frames were copied out above
+  if (analysis.keyFrames) {
+    try {
+      await cleanupFrames(analysis.keyFrames);
+    } catch (cleanupError) {
+      console.warn("Frame cleanup warning:", cleanupError);
+    }
+  }
+};
+
+/**
+ * Analyse a stored result. One claimed by another instance is queued again
+ * for when that claim expires, in case the instance died with it.
+ */
+const processResult = async ({ resultId }, attempt) => {
+  const result = await claimResult(resultId);
+  if (!result) {
+    const current = await SRTResult.findById(
+      resultId,
+      "processingStatus lockedUntil"
+    );
+    if (!current) throw new Error(`Result ${resultId} no longer exists`);
+    if (["pending", "processing"].includes(current.processingStatus)) {
+      setTimeout(
+        () => queueAnalysis(resultId),
+        Math.max(current.lockedUntil - Date.now(), 0)
+      ).unref();
+    }
+    return;
+  }
+
+  try {
+    await analyseResult(result, attempt);
+  } catch (error) {
+    // Free the claim for the retry
+    await releaseResult(resultId);
+    throw error;
+  }
+};
+
+const markFailed = async ({ resultId }, error) => {
+  const result = await SRTResult.findByIdAndUpdate(
+    resultId,
+    {
+      processingStatus: "failed",
+      processingError: error.message,
+      $unset: { lockedUntil: "", lockedBy: "" },
+    },
+    { new: true }
+  );
+  publishProgress(resultId, { stage: "failed", error: error.message });
+  if (result) publishWebhookEvent("analysis.failed", result);
+};
+
+const queueAnalysis = (resultId) =>
+  analysisQueue.add(
+    String(resultId),
+    { resultId },
+    { handler: processResult, onFailure: markFailed }
+  );
+
+/**
+ * Queue a pending result for background analysis
+ */
+export const enqueueAnalysis = (resultId) => {
+  publishProgress(resultId, { stage: "queued", percent: 0 });
+  queueAnalysis(resultId);
+};
+
+/**
+ * Re-queue results left pending or processing by a previous run. Every
+ * instance does this at startup, the claim in processResult keeps each
+ * analysis to one of them. Claims this instance held before it stopped are
+ * released first, nothing is running them any more.
+ */
+export const resumePendingAnalyses = async () => {
+  await SRTResult.updateMany(
+    {
+      processingStatus: { $in: ["pending", "processing"] },
+      ...lockedBeforeStart(ANALYSIS_LOCK_MS),
+    },
+    { $unset: { lockedUntil: "", lockedBy: "" } }
+  );
+  const unfinished = await SRTResult.find(
+    { processingStatus: { $in: ["pending", "processing"] } },
+    "_id"
+  );
+  unfinished.forEach((result) => enqueueAnalysis(result._id));
+  if (unfinished.length > 0) {
+    console.log(`Resumed ${unfinished.length} unfinished analyses`);
+  }
+};
+
+export const getQueueStats = () => analysisQueue.stats();
@@ -0,0 +1,242 @@
+// server/services/annotationService.js
+import * as tf from "@tensorflow/tfjs-node";
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs/promises";
+import path from "path";
+
+const ANNOTATION_CONFIG = {
+  FPS: 5, // Playback rate of the analysed frames
+  KEYPOINT_THRESHOLD: 0.3,
+  KEYPOINT_RADIUS: 4,
+  LINE_WIDTH: 2,
+  BORDER_WIDTH: 8,
+  COLORS: {
+    skeleton: [0, 230, 118],
+    keypoint: [255, 235, 59],
+    support: [229, 57, 53],
+    transition: [30, 136, 229],
+  },
+};
+
+// MoveNet keypoint pairs forming the skeleton
+const SKELETON_EDGES = [
+  ["left_shoulder", "right_shoulder"],
+  ["left_shoulder", "left_elbow"],
+  ["left_elbow", "left_wrist"],
+  ["right_shoulder", "right_elbow"],
+  ["right_elbow", "right_wrist"],
+  ["left_shoulder", "left_hip"],
+  ["right_shoulder", "right_hip"],
+  ["left_hip", "right_hip"],
+  ["left_hip", "left_knee"],
+  ["left_knee", "left_ankle"],
+  ["right_hip", "right_knee"],
+  ["right_knee", "right_ankle"],
+];
+
+// Keypoints that make contact for each support type
+const SUPPORT_KEYPOINTS = {
+  HAND: ["left_wrist", "right_wrist"],
+  KNEE: ["left_knee", "right_knee"],
+};
+
+/**
+ * Minimal RGB canvas over a decoded frame
+ */
+const createCanvas = (pixels, width, height) => {
+  const setPixel = (x, y, color) => {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const offset = (y * width + x) * 3;
+    pixels[offset] = color[0];
+    pixels[offset + 1] = color[1];
+    pixels[offset + 2] = color[2];
+  };
+
+  const fillCircle = (cx, cy, radius, color) => {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy <= radius * radius) {
+          setPixel(cx + dx, cy + dy, color);
+        }
+      }
+    }
+  };
+
+  const drawLine = (x1, y1, x2, y2, color, lineWidth) => {
+    const steps = Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1), 1);
+    for (let i = 0; i <= steps; i++) {
+      const x = x1 + ((x2 - x1) * i) / steps;
+      const y = y1 + ((y2 - y1) * i) / steps;
+      fillCircle(x, y, Math.floor(lineWidth / 2), color);
+    }
+  };
+
+  const drawBorder = (color, borderWidth) => {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (
+          x < borderWidth ||
+          y < borderWidth ||
+          x >= width - borderWidth ||
+          y >= height - borderWidth
+        ) {
+          setPixel(x, y, color);
+        }
+      }
+    }
+  };
+
+  return { fillCircle, drawLine, drawBorder };
+};
+
+/**
+ * Draw skeleton, support highlights and transition marker onto one frame
+ */
+const annotateFrame = async (frame, isTransition) => {
+  const { COLORS, KEYPOINT_THRESHOLD } = ANNOTATION_CONFIG;
+  const imageBuffer = await fs.readFile(frame.framePath);
+  const image = tf.node.decodeImage(imageBuffer, 3);
+  const [height, width] = image.shape;
+  const pixels = await image.data();
+  image.dispose();
+
+  const canvas = createCanvas(pixels, width, height);
+  const keypoints = Object.fromEntries(
+    frame.keypoints
+      .filter((kp) => kp.score > KEYPOINT_THRESHOLD)
+      .map((kp) => [kp.name, kp])
+  );
+
+  SKELETON_EDGES.forEach(([from, to]) => {
+    if (keypoints[from] && keypoints[to]) {
+      canvas.drawLine(
+        keypoints[from].x,
+        keypoints[from].y,
+        keypoints[to].x,
+        keypoints[to].y,
+        COLORS.skeleton,
+        ANNOTATION_CONFIG.LINE_WIDTH
+      );
+    }
+  });
+
+  const supportPoints = new Set(
+    frame.supports.flatMap((support) => SUPPORT_KEYPOINTS[support] || [])
+  );
+  Object.values(keypoints).forEach((kp) => {
+    const isSupport = supportPoints.has(kp.name);
+    canvas.fillCircle(
+      kp.x,
+      kp.y,
+      ANNOTATION_CONFIG.KEYPOINT_RADIUS * (isSupport ? 2 : 1),
+      isSupport ? COLORS.support : COLORS.keypoint
+    );
+  });
+
+  if (isTransition) {
+    canvas.drawBorder(COLORS.transition, ANNOTATION_CONFIG.BORDER_WIDTH);
+  } else if (frame.supports.length > 0) {
+    canvas.drawBorder(COLORS.support, ANNOTATION_CONFIG.BORDER_WIDTH);
+  }
+
+  const annotated = tf.tensor3d(pixels, [height, width, 3], "int32");
+  try {
+    return await tf.node.encodeJpeg(annotated);
+  } finally {
+    annotated.dispose();
+  }
+};
+
+const formatSrtTime = (seconds) => {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, size = 2) => String(value).padStart(size, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(
+    Math.floor(ms / 60000) % 60
+  )}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+};
+
+/**
+ * Caption per frame with running joint angles and events
+ */
+const buildCaptions = (frameTimeline, transitionFrame) =>
+  frameTimeline
+    .map((frame, index) => {
+      const start = index / ANNOTATION_CONFIG.FPS;
+      const end = (index + 1) / ANNOTATION_CONFIG.FPS;
+      const events = [
+        ...frame.supports.map((support) => `${support} SUPPORT`),
+        ...(index === transitionFrame ? ["PHASE TRANSITION"] : []),
+      ];
+      const text = [
+        `Knee ${Math.round(frame.angles.knee)}°  Hip ${Math.round(
+          frame.angles.hip
+        )}°`,
+        events.join("  "),
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      return `${index + 1}\n${formatSrtTime(start)} --> ${formatSrtTime(
+        end
+      )}\n${text}\n`;
+    })
+    .join("\n");
+
+/**
+ * Render an annotated MP4 from the analysed frames, resolves with its path
+ */
+export const renderAnnotatedVideo = async (
+  { frameTimeline, transitionFrame },
+  outputDir
+) => {
+  if (!frameTimeline || frameTimeline.length === 0) {
+    throw new Error("No frames available for annotation");
+  }
+
+  const workDir = path.join(outputDir, `annotate-${Date.now()}`);
+  await fs.mkdir(workDir, { recursive: true });
+  const outputPath = path.join(outputDir, "annotated.mp4");
+
+  try {
+    for (const frame of frameTimeline) {
+      const jpeg = await annotateFrame(frame, frame.index === transitionFrame);
+      await fs.writeFile(
+        path.join(workDir, `annotated-${frame.index + 1}.jpg`),
+        jpeg
+      );
+    }
+
+    const captionsPath = path.join(workDir, "captions.srt");
+    await fs.writeFile(
+      captionsPath,
+      buildCaptions(frameTimeline, transitionFrame)
+    );
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(path.join(workDir, "annotated-%d.jpg"))
+        .inputFPS(ANNOTATION_CONFIG.FPS)
+        .videoFilters([
+          // libx264 needs even dimensions
+          "scale=trunc(iw/2)*2:trunc(ih/2)*2",
+          `subtitles=${captionsPath}`,
+        ])
+        .outputOptions([
+          "-c:v",
+          "libx264",
+          "-pix_fmt",
+          "yuv420p",
+          "-movflags",
+          "+faststart",
+        ])
+        .on("end", resolve)
+        .on("error", reject)
+        .save(outputPath);
+    });
+
+    return outputPath;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
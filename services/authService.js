@@ -0,0 +1,67 @@
+// server/services/authService.js
+import crypto from "crypto";
+import { promisify } from "util";
+import jwt from "jsonwebtoken";
+import { User } from "../models.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_CONFIG = {
+  SALT_BYTES: 16,
+  KEY_LENGTH: 64,
+  MIN_PASSWORD_LENGTH: 8,
+  DEFAULT_EXPIRES_IN: "1d",
+};
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return process.env.JWT_SECRET;
+};
+
+export const isValidPassword = (password) =>
+  typeof password === "string" &&
+  password.length >= AUTH_CONFIG.MIN_PASSWORD_LENGTH;
+
+/**
+ * Hash a password as `salt:key` using scrypt
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(AUTH_CONFIG.SALT_BYTES).toString("hex");
+  const key = await scrypt(password, salt, AUTH_CONFIG.KEY_LENGTH);
+  return `${salt}:${key.toString("hex")}`;
+};
+
+export const verifyPassword = async (password, passwordHash) => {
+  const [salt, keyHex] = (passwordHash || "").split(":");
+  if (!salt || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+export const signToken = (user) =>
+  jwt.sign({ sub: String(user._id), role: user.role }, getJwtSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || AUTH_CONFIG.DEFAULT_EXPIRES_IN,
+  });
+
+const TOKEN_ERRORS = [
+  "JsonWebTokenError",
+  "TokenExpiredError",
+  "NotBeforeError",
+];
+
+/**
+ * Verify a token and load its user, returns null if either is invalid
+ */
+export const resolveToken = async (token) => {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return await User.findById(payload.sub);
+  } catch (error) {
+    if (TOKEN_ERRORS.includes(error.name)) return null;
+    throw error;
+  }
+};
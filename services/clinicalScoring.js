@@ -0,0 +1,228 @@
+// server/services/clinicalScoring.js
+// Protocol scoring for the sitting-rising test (Araújo et al.): each phase
+// starts at 5, -1 per support used and -0.5 per noticeable loss of balance.
+// Points and detection thresholds come from the scoring profile's `clinical`
+// section, thresholds are a fraction of the visible body height.
+
+// Deduction types, matching the deductions modelled on analysis results
+export const DEDUCTION_TYPES = {
+  HAND: "hand",
+  FOREARM: "forearm",
+  KNEE: "knee",
+  SIDE_OF_LEG: "side",
+  HAND_ON_KNEE: "hand_on_knee",
+  UNSTEADINESS: "balance",
+};
+
+const confidentKeypoints = (frame, config) =>
+  Object.fromEntries(
+    frame.keypoints
+      .filter((kp) => kp.score > config.keypointThreshold)
+      .map((kp) => [kp.name, kp])
+  );
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Supports in contact during one frame, one entry per limb as the protocol
+ * deducts per support: [{ type, side }]
+ */
+export const detectClinicalSupports = (frame, config) => {
+  const keypoints = confidentKeypoints(frame, config);
+  const points = Object.values(keypoints);
+  if (points.length < 2) return [];
+
+  const groundLevel = Math.max(...points.map((kp) => kp.y));
+  const bodyHeight = groundLevel - Math.min(...points.map((kp) => kp.y));
+  if (bodyHeight <= 0) return [];
+
+  const nearGround = (kp, fraction) =>
+    Boolean(kp) && groundLevel - kp.y < bodyHeight * fraction;
+  const onGround = (kp) => nearGround(kp, config.groundContact);
+
+  // Seated on the floor the knees rest low too, they only count as a
+  // support while the hips are off the ground
+  const hips = [keypoints.left_hip, keypoints.right_hip].filter(Boolean);
+  const seated =
+    hips.length > 0 &&
+    hips.every((hip) => nearGround(hip, config.seatedHipHeight));
+
+  const supports = [];
+
+  ["left", "right"].forEach((side) => {
+    const wrist = keypoints[`${side}_wrist`];
+    const elbow = keypoints[`${side}_elbow`];
+    const hip = keypoints[`${side}_hip`];
+    const knee = keypoints[`${side}_knee`];
+
+    if (onGround(elbow)) {
+      supports.push({ type: DEDUCTION_TYPES.FOREARM, side });
+    } else if (onGround(wrist)) {
+      supports.push({ type: DEDUCTION_TYPES.HAND, side });
+    } else if (
+      wrist &&
+      [keypoints.left_knee, keypoints.right_knee].some(
+        (anyKnee) =>
+          anyKnee &&
+          distance(wrist, anyKnee) < bodyHeight * config.handOnKneeDistance
+      )
+    ) {
+      // Hand resting on either knee while off the ground
+      supports.push({ type: DEDUCTION_TYPES.HAND_ON_KNEE, side });
+    }
+
+    if (!seated && onGround(knee)) {
+      // Hip far off to the side of the knee: leaning on the side of the leg
+      const leaning =
+        hip && Math.abs(hip.x - knee.x) > bodyHeight * config.sideLean;
+      supports.push({
+        type: leaning ? DEDUCTION_TYPES.SIDE_OF_LEG : DEDUCTION_TYPES.KNEE,
+        side,
+      });
+    }
+  });
+
+  return supports;
+};
+
+const hipCenter = (frame, config) => {
+  const keypoints = confidentKeypoints(frame, config);
+  const hips = [keypoints.left_hip, keypoints.right_hip].filter(Boolean);
+  if (hips.length === 0) return null;
+
+  const points = Object.values(keypoints);
+  const bodyHeight =
+    Math.max(...points.map((kp) => kp.y)) -
+    Math.min(...points.map((kp) => kp.y));
+
+  return {
+    x: hips.reduce((sum, kp) => sum + kp.x, 0) / hips.length,
+    bodyHeight,
+  };
+};
+
+/**
+ * Each distinct support event, per type and limb. A support must be seen in
+ * `minSupportFrames` frames to count, and a dropout of up to
+ * `supportGapFrames` frames continues the same event rather than starting
+ * a new one.
+ */
+const findSupportEvents = (frames, phase, config) => {
+  const events = [];
+  const active = new Map(); // "type:side" -> { frames, gap, first, counted }
+
+  frames.forEach((frame) => {
+    const current = new Map(
+      detectClinicalSupports(frame, config).map((support) => [
+        `${support.type}:${support.side}`,
+        support,
+      ])
+    );
+
+    active.forEach((run, key) => {
+      if (current.has(key)) return;
+      run.gap++;
+      if (run.gap > config.supportGapFrames) active.delete(key);
+    });
+
+    current.forEach((support, key) => {
+      const run = active.get(key) || {
+        frames: 0,
+        first: frame,
+        counted: false,
+      };
+      run.frames++;
+      run.gap = 0;
+      active.set(key, run);
+
+      if (!run.counted && run.frames >= config.minSupportFrames) {
+        run.counted = true;
+        events.push({
+          type: support.type,
+          side: support.side,
+          points: -config.supportPoints,
+          phase,
+          timestamp: run.first.timestamp,
+          frameIndex: run.first.index,
+        });
+      }
+    });
+  });
+
+  return events;
+};
+
+/**
+ * Sudden sideways hip shifts, consecutive unsteady frames count once
+ */
+const findUnsteadinessEvents = (frames, phase, config) => {
+  const events = [];
+  let wasUnsteady = false;
+
+  for (let i = 1; i < frames.length; i++) {
+    const previous = hipCenter(frames[i - 1], config);
+    const current = hipCenter(frames[i], config);
+    const unsteady =
+      previous &&
+      current &&
+      current.bodyHeight > 0 &&
+      Math.abs(current.x - previous.x) / current.bodyHeight >
+        config.swayVelocity;
+
+    if (unsteady && !wasUnsteady) {
+      events.push({
+        type: DEDUCTION_TYPES.UNSTEADINESS,
+        points: -config.unsteadinessPoints,
+        phase,
+        timestamp: frames[i].timestamp,
+        frameIndex: frames[i].index,
+      });
+    }
+    wasUnsteady = Boolean(unsteady);
+  }
+
+  return events;
+};
+
+const phaseScore = (deductions, config) =>
+  Math.max(
+    0,
+    config.maxPhaseScore +
+      deductions.reduce((total, deduction) => total + deduction.points, 0)
+  );
+
+/**
+ * Discrete protocol scores from the pose timeline, split at the transition
+ */
+export const calculateClinicalScores = (
+  frameTimeline,
+  transitionFrame,
+  config
+) => {
+  const phases = {
+    sitting: frameTimeline.slice(0, transitionFrame + 1),
+    rising: frameTimeline.slice(transitionFrame + 1),
+  };
+
+  const deductions = Object.entries(phases).flatMap(([phase, frames]) => [
+    ...findSupportEvents(frames, phase, config),
+    ...findUnsteadinessEvents(frames, phase, config),
+  ]);
+  deductions.sort((a, b) => a.frameIndex - b.frameIndex);
+
+  const sitScore = phaseScore(
+    deductions.filter((d) => d.phase === "sitting"),
+    config
+  );
+  const riseScore = phaseScore(
+    deductions.filter((d) => d.phase === "rising"),
+    config
+  );
+
+  return {
+    sitScore,
+    riseScore,
+    totalScore: sitScore + riseScore,
+    deductions,
+  };
+};
@@ -0,0 +1,49 @@
+// server/services/deduplicationService.js
+// Repeat submissions of the same video (frontend retries on flaky networks)
+// resolve to the existing result instead of another analysis
+import { SRTResult } from "../models.js";
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Printable ASCII
+
+/**
+ * Read the Idempotency-Key header. undefined when absent, null if invalid.
+ */
+export const parseIdempotencyKey = (value) => {
+  if (value === undefined || value === "") return undefined;
+  return IDEMPOTENCY_KEY_PATTERN.test(value) ? value : null;
+};
+
+/**
+ * Result an uploader created earlier with the same idempotency key, or null
+ */
+export const findByIdempotencyKey = (
+  organization,
+  uploadedBy,
+  idempotencyKey
+) => SRTResult.findOne({ organization, uploadedBy, idempotencyKey });
+
+/**
+ * Result for the same video content, owner and analysis settings (scoring
+ * mode, scoring profile version, pose model and demographics), or null.
+ * Missing demographics only match results without them.
+ */
+export const findDuplicateResult = ({
+  organization,
+  owner,
+  contentHash,
+  scoringMode,
+  profile,
+  poseModel,
+  demographics = {},
+}) =>
+  SRTResult.findOne({
+    organization,
+    owner,
+    contentHash,
+    scoringMode,
+    "scoringProfile.id": profile.id,
+    "scoringProfile.version": profile.version,
+    "poseModel.name": poseModel,
+    "demographics.age": demographics.age ?? null,
+    "demographics.sex": demographics.sex ?? null,
+  });
@@ -0,0 +1,199 @@
+// server/services/fhirService.js
+// HL7 FHIR R4 renderings of completed results for partner EHRs. Scores are
+// the clinician-final ones; resources are marked amended when a review
+// changed the automated scores.
+import { finalScores } from "./reviewService.js";
+
+const FHIR_CONFIG = {
+  // Codes and identifiers minted by this service, no LOINC code exists
+  // for the sitting-rising test
+  SYSTEM_BASE: "urn:srt-cb",
+  UCUM: "http://unitsofmeasure.org",
+  CATEGORY_SYSTEM: "http://terminology.hl7.org/CodeSystem/observation-category",
+};
+
+export const FHIR_CONTENT_TYPE = "application/fhir+json";
+export const FHIR_NDJSON_CONTENT_TYPE = "application/fhir+ndjson";
+export const FHIR_RESOURCE_TYPES = ["Observation", "DiagnosticReport"];
+
+const systemBase = () =>
+  process.env.FHIR_SYSTEM_BASE || FHIR_CONFIG.SYSTEM_BASE;
+const codeSystem = () => `${systemBase()}:code-system`;
+
+const srtCode = (code, display) => ({
+  coding: [{ system: codeSystem(), code, display }],
+  text: display,
+});
+
+const SRT_TEST_CODE = ["sitting-rising-test", "Sitting-rising test"];
+
+const RISK_DISPLAY = {
+  low: "Low risk",
+  moderate: "Moderate risk",
+  high: "High risk",
+};
+
+const scoreQuantity = (value) => ({
+  value: Number(value.toFixed(2)),
+  unit: "score",
+  system: FHIR_CONFIG.UCUM,
+  code: "{score}",
+});
+
+// Movement quality is stored as a 0 - 1 fraction
+const percentQuantity = (value) => ({
+  value: Number((value * 100).toFixed(1)),
+  unit: "%",
+  system: FHIR_CONFIG.UCUM,
+  code: "%",
+});
+
+const component = (code, display, value, toQuantity) =>
+  typeof value === "number" && !isNaN(value)
+    ? { code: srtCode(code, display), valueQuantity: toQuantity(value) }
+    : undefined;
+
+const status = (scores) => (scores.adjusted ? "amended" : "final");
+
+const subject = (result) => ({ reference: `Patient/${result.owner}` });
+
+// Latest of review, re-score and completion. Results migrated without a
+// completion time fall back to the test date.
+const issued = (result) =>
+  new Date(
+    result.review?.reviewedAt ||
+      result.rescoredAt ||
+      result.completedAt ||
+      result.timestamp
+  ).toISOString();
+
+const identifier = (result) => [
+  { system: `${systemBase()}:result`, value: String(result._id) },
+];
+
+/**
+ * FHIR R4 Observation for a completed result, with one component per score
+ */
+export const toFhirObservation = (result) => {
+  const scores = finalScores(result);
+  const reviewer =
+    result.review?.status === "reviewed" && result.review.reviewedBy;
+
+  return {
+    resourceType: "Observation",
+    id: String(result._id),
+    identifier: identifier(result),
+    status: status(scores),
+    category: [
+      {
+        coding: [
+          {
+            system: FHIR_CONFIG.CATEGORY_SYSTEM,
+            code: "exam",
+            display: "Exam",
+          },
+        ],
+      },
+    ],
+    code: srtCode(...SRT_TEST_CODE),
+    subject: subject(result),
+    effectiveDateTime: new Date(result.timestamp).toISOString(),
+    issued: issued(result),
+    performer: reviewer
+      ? [{ reference: `Practitioner/${reviewer}` }]
+      : undefined,
+    interpretation: scores.riskLevel
+      ? [srtCode(`risk-${scores.riskLevel}`, RISK_DISPLAY[scores.riskLevel])]
+      : undefined,
+    method: {
+      text: `${result.scoringMode} scoring, profile ${
+        result.scoringProfile?.id || "default"
+      } v${result.scoringProfile?.version ?? "?"}`,
+    },
+    component: [
+      component("sit-score", "Sitting score", scores.sitScore, scoreQuantity),
+      component("rise-score", "Rising score", scores.riseScore, scoreQuantity),
+      component("total-score", "Total score", scores.totalScore, scoreQuantity),
+      component(
+        "postural-control",
+        "Postural control",
+        result.posturalControl,
+        percentQuantity
+      ),
+      component("balance", "Balance", result.balance, percentQuantity),
+      component(
+        "coordination",
+        "Coordination",
+        result.coordination,
+        percentQuantity
+      ),
+    ].filter(Boolean),
+  };
+};
+
+/**
+ * FHIR R4 DiagnosticReport referencing the result's Observation.
+ * `baseUrl` is the API root the PDF report is served under.
+ */
+export const toFhirDiagnosticReport = (result, { baseUrl } = {}) => {
+  const scores = finalScores(result);
+
+  return {
+    resourceType: "DiagnosticReport",
+    id: String(result._id),
+    identifier: identifier(result),
+    status: status(scores),
+    code: srtCode(...SRT_TEST_CODE),
+    subject: subject(result),
+    effectiveDateTime: new Date(result.timestamp).toISOString(),
+    issued: issued(result),
+    result: [{ reference: `Observation/${result._id}` }],
+    conclusion:
+      typeof scores.totalScore === "number"
+        ? `SRT total ${scores.totalScore.toFixed(1)} / 10${
+            scores.riskLevel ? `, ${RISK_DISPLAY[scores.riskLevel]}` : ""
+          }`
+        : undefined,
+    presentedForm: baseUrl
+      ? [
+          {
+            contentType: "application/pdf",
+            url: `${baseUrl}/report/${result._id}/pdf`,
+            title: "Sitting-Rising Test Report",
+          },
+        ]
+      : undefined,
+  };
+};
+
+/**
+ * FHIR R4 collection Bundle with the DiagnosticReport and its Observation
+ */
+export const toFhirBundle = (result, { baseUrl } = {}) => {
+  const resources = [
+    toFhirDiagnosticReport(result, { baseUrl }),
+    toFhirObservation(result),
+  ];
+
+  return {
+    resourceType: "Bundle",
+    type: "collection",
+    timestamp: new Date().toISOString(),
+    entry: resources.map((resource) => ({
+      fullUrl: baseUrl
+        ? `${baseUrl}/fhir/${resource.resourceType}/${resource.id}`
+        : undefined,
+      resource,
+    })),
+  };
+};
+
+/**
+ * Resources of the given types for one result, for NDJSON export
+ */
+export const toFhirResources = (result, types, { baseUrl } = {}) =>
+  types.map((type) =>
+    type === "Observation"
+      ? toFhirObservation(result)
+      : toFhirDiagnosticReport(result, { baseUrl })
+  );
@@ -0,0 +1,76 @@
+// server/services/jobQueue.js
+import os from "os";
+
+/**
+ * Name of this instance in job locks. It must stay the same across restarts
+ * so a restarted instance can take back the jobs it held when it stopped.
+ * Several instances on one host need their own INSTANCE_ID.
+ */
+export const INSTANCE_ID = process.env.INSTANCE_ID || os.hostname();
+
+// Locks expiring before this instance could have taken them date from an
+// earlier run
+const startedAt = Date.now();
+export const lockedBeforeStart = (lockMs) => ({
+  lockedBy: INSTANCE_ID,
+  lockedUntil: { $lt: new Date(startedAt + lockMs) },
+});
+
+/**
+ * In-process job queue with a concurrency limit and retry with backoff
+ */
+export const createJobQueue = ({
+  concurrency = 1,
+  maxRetries = 2,
+  retryDelay = 2000, // ms, doubled on each retry
+} = {}) => {
+  const waiting = [];
+  let running = 0;
+
+  const runNext = () => {
+    if (running >= concurrency || waiting.length === 0) return;
+
+    const job = waiting.shift();
+    running++;
+
+    Promise.resolve()
+      .then(() => job.handler(job.payload, job.attempt))
+      .then(() => job.onSuccess?.(job.payload))
+      .catch((error) => {
+        if (job.attempt < maxRetries) {
+          const delay = retryDelay * Math.pow(2, job.attempt);
+          console.warn(
+            `Job ${job.id} failed (attempt ${job.attempt + 1}), retrying in ${delay}ms:`,
+            error.message
+          );
+          setTimeout(() => {
+            waiting.push({ ...job, attempt: job.attempt + 1 });
+            runNext();
+          }, delay);
+          return;
+        }
+
+        console.error(`Job ${job.id} failed permanently:`, error);
+        return job.onFailure?.(job.payload, error);
+      })
+      .catch((error) => console.error(`Job ${job.id} handler error:`, error))
+      .finally(() => {
+        running--;
+        runNext();
+      });
+
+    runNext();
+  };
+
+  /**
+   * Add a job; `handler` is retried until it resolves or retries run out
+   */
+  const add = (id, payload, { handler, onSuccess, onFailure }) => {
+    waiting.push({ id, payload, handler, onSuccess, onFailure, attempt: 0 });
+    runNext();
+  };
+
+  const stats = () => ({ waiting: waiting.length, running });
+
+  return { add, stats };
+};
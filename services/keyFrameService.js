@@ -0,0 +1,130 @@
+// server/services/keyFrameService.js
+import ffmpeg from "fluent-ffmpeg";
+import path from "path";
+import { getStorage, storageKeys } from "./storageService.js";
+
+const KEY_FRAME_CONFIG = {
+  KEYPOINT_THRESHOLD: 0.3,
+  THUMBNAIL_WIDTH: 160,
+};
+
+const hipY = (frame) => {
+  const hips = frame.keypoints.filter(
+    (kp) =>
+      (kp.name === "left_hip" || kp.name === "right_hip") &&
+      kp.score > KEY_FRAME_CONFIG.KEYPOINT_THRESHOLD
+  );
+  return hips.length > 0 ? Math.max(...hips.map((kp) => kp.y)) : null;
+};
+
+/**
+ * Frame with the hip closest to the ground (largest image y)
+ */
+const findLowestHipFrame = (frameTimeline) => {
+  let lowest = null;
+  frameTimeline.forEach((frame) => {
+    const y = hipY(frame);
+    if (y !== null && (lowest === null || y > lowest.y)) {
+      lowest = { index: frame.index, y };
+    }
+  });
+  return lowest?.index ?? null;
+};
+
+/**
+ * First frame of each continuous run of a support type
+ */
+const findSupportEvents = (frameTimeline) => {
+  const events = [];
+  const counts = {};
+
+  frameTimeline.forEach((frame, i) => {
+    const previous = frameTimeline[i - 1]?.supports || [];
+    frame.supports
+      .filter((support) => !previous.includes(support))
+      .forEach((support) => {
+        counts[support] = (counts[support] || 0) + 1;
+        events.push({
+          label: `support-${support.toLowerCase()}-${counts[support]}`,
+          frameIndex: frame.index,
+          supports: frame.supports,
+        });
+      });
+  });
+
+  return events;
+};
+
+/**
+ * Curated key frames: lowest hip, phase transition, support events, final
+ */
+export const selectKeyFrames = ({ frameTimeline, transitionFrame }) => {
+  if (!frameTimeline || frameTimeline.length === 0) return [];
+
+  const selected = [];
+  const lowestHipFrame = findLowestHipFrame(frameTimeline);
+  if (lowestHipFrame !== null) {
+    selected.push({ label: "lowest-hip", frameIndex: lowestHipFrame });
+  }
+  if (frameTimeline[transitionFrame]) {
+    selected.push({ label: "phase-transition", frameIndex: transitionFrame });
+  }
+  selected.push(...findSupportEvents(frameTimeline));
+  selected.push({
+    label: "final-standing",
+    frameIndex: frameTimeline[frameTimeline.length - 1].index,
+  });
+
+  return selected.map((keyFrame) => ({
+    supports: frameTimeline[keyFrame.frameIndex].supports,
+    ...keyFrame,
+  }));
+};
+
+const createThumbnail = (sourcePath, thumbnailPath) =>
+  new Promise((resolve, reject) => {
+    ffmpeg(sourcePath)
+      .videoFilters(`scale=${KEY_FRAME_CONFIG.THUMBNAIL_WIDTH}:-1`)
+      .frames(1)
+      .on("end", resolve)
+      .on("error", reject)
+      .save(thumbnailPath);
+  });
+
+/**
+ * Store the selected key frames out of the temporary frames directory,
+ * thumbnails are rendered in `workDir` first
+ */
+export const persistKeyFrames = async (analysis, resultId, workDir) => {
+  const storage = getStorage();
+
+  const persisted = [];
+  for (const keyFrame of selectKeyFrames(analysis)) {
+    const frame = analysis.frameTimeline[keyFrame.frameIndex];
+    const key = storageKeys.keyFrame(resultId, `${keyFrame.label}.jpg`);
+    let thumbnailKey = storageKeys.keyFrame(
+      resultId,
+      `${keyFrame.label}-thumb.jpg`
+    );
+
+    await storage.putFile(key, frame.framePath, { contentType: "image/jpeg" });
+    try {
+      const thumbnailPath = path.join(workDir, `${keyFrame.label}-thumb.jpg`);
+      await createThumbnail(frame.framePath, thumbnailPath);
+      await storage.putFile(thumbnailKey, thumbnailPath, {
+        contentType: "image/jpeg",
+      });
+    } catch (thumbnailError) {
+      console.warn("Thumbnail generation warning:", thumbnailError);
+      thumbnailKey = undefined;
+    }
+
+    persisted.push({
+      ...keyFrame,
+      key,
+      thumbnailKey,
+    });
+  }
+
+  return persisted;
+};
@@ -0,0 +1,97 @@
+// server/services/localStorage.js
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+/**
+ * Storage driver keeping objects as files under `root`
+ */
+export const createLocalStorage = ({ root }) => {
+  const resolved = path.resolve(root);
+
+  // Keys are relative posix paths, never outside the root
+  const toPath = (key) => {
+    const filePath = path.resolve(resolved, key);
+    if (!filePath.startsWith(resolved + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fsp.stat(toPath(key));
+      return stats.isFile()
+        ? { size: stats.size, lastModified: stats.mtime }
+        : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  const putStream = async (key, stream) => {
+    const filePath = toPath(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(filePath));
+    } catch (error) {
+      // Never leave a partial object behind
+      await fsp.rm(filePath, { force: true });
+      throw error;
+    }
+  };
+
+  const listFiles = async (directory) => {
+    let entries;
+    try {
+      entries = await fsp.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const nested = await Promise.all(
+      entries.map((entry) => {
+        const entryPath = path.join(directory, entry.name);
+        return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+      })
+    );
+    return nested.flat();
+  };
+
+  return {
+    name: "local",
+    stat,
+    putStream,
+    putFile: async (key, filePath) => {
+      const target = toPath(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.copyFile(filePath, target);
+    },
+    getStream: async (key, { start, end } = {}) =>
+      fs.createReadStream(toPath(key), { start, end }),
+    remove: (key) => fsp.rm(toPath(key), { force: true }),
+    removePrefix: (prefix) =>
+      fsp.rm(toPath(prefix), { recursive: true, force: true }),
+    list: async (prefix) => {
+      const files = await listFiles(toPath(prefix));
+      return Promise.all(
+        files.map(async (filePath) => {
+          const stats = await fsp.stat(filePath);
+          return {
+            key: path.relative(resolved, filePath).split(path.sep).join("/"),
+            size: stats.size,
+            lastModified: stats.mtime,
+          };
+        })
+      );
+    },
+    // Files are already local, nothing to clean up
+    toLocalFile: async (key) => ({
+      path: toPath(key),
+      cleanup: async () => {},
+    }),
+  };
+};
@@ -0,0 +1,13 @@
+// server/services/mediaService.js
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/**
+ * Scratch directory for rendering a result's media before it is stored
+ */
+export const createMediaWorkDir = (resultId) =>
+  fs.mkdtemp(path.join(os.tmpdir(), `srt-media-${resultId}-`));
+
+export const removeWorkDir = (directory) =>
+  fs.rm(directory, { recursive: true, force: true });
@@ -0,0 +1,75 @@
+// server/services/normativeData.js
+// Sex- and age-specific reference percentiles for the total SRT score (0-10).
+// Values approximate the published percentile curves (Araújo et al., Eur J
+// Prev Cardiol 2012 and 2020); swap in a locally validated table if available.
+
+const PERCENTILE_POINTS = [10, 25, 50, 75, 90];
+
+const NORMATIVE_TABLE = {
+  male: [
+    { minAge: 0, maxAge: 29, scores: [6.5, 7.5, 8.5, 9.5, 10] },
+    { minAge: 30, maxAge: 39, scores: [6, 7, 8, 9, 9.5] },
+    { minAge: 40, maxAge: 49, scores: [5, 6.5, 7.5, 8.5, 9] },
+    { minAge: 50, maxAge: 59, scores: [4, 5.5, 6.5, 7.5, 8.5] },
+    { minAge: 60, maxAge: 69, scores: [3, 4.5, 5.5, 6.5, 7.5] },
+    { minAge: 70, maxAge: 79, scores: [1.5, 3, 4.5, 5.5, 6.5] },
+    { minAge: 80, maxAge: Infinity, scores: [0.5, 2, 3, 4.5, 5.5] },
+  ],
+  female: [
+    { minAge: 0, maxAge: 29, scores: [6.5, 7.5, 8.5, 9.5, 10] },
+    { minAge: 30, maxAge: 39, scores: [5.5, 7, 8, 9, 9.5] },
+    { minAge: 40, maxAge: 49, scores: [4.5, 6, 7, 8, 9] },
+    { minAge: 50, maxAge: 59, scores: [3.5, 5, 6, 7, 8] },
+    { minAge: 60, maxAge: 69, scores: [2.5, 4, 5, 6, 7] },
+    { minAge: 70, maxAge: 79, scores: [1, 2.5, 4, 5, 6] },
+    { minAge: 80, maxAge: Infinity, scores: [0, 1.5, 2.5, 4, 5] },
+  ],
+};
+
+export const SEXES = Object.keys(NORMATIVE_TABLE);
+
+const bandLabel = ({ minAge, maxAge }) =>
+  maxAge === Infinity
+    ? `${minAge}+`
+    : minAge === 0
+      ? `<${maxAge + 1}`
+      : `${minAge}-${maxAge}`;
+
+/**
+ * Reference band for an age and sex, or null when either is unknown
+ */
+export const findNormativeBand = (age, sex) => {
+  const bands = NORMATIVE_TABLE[sex];
+  if (!bands || typeof age !== "number" || isNaN(age)) return null;
+
+  const band = bands.find((b) => age >= b.minAge && age <= b.maxAge);
+  return band ? { ...band, label: bandLabel(band) } : null;
+};
+
+/**
+ * Percentile (0-100) of a total score within a reference band, interpolated
+ * linearly between the tabulated points
+ */
+export const scorePercentile = (totalScore, band) => {
+  const points = [
+    { score: 0, percentile: 0 },
+    ...band.scores.map((score, i) => ({
+      score,
+      percentile: PERCENTILE_POINTS[i],
+    })),
+    { score: 10, percentile: 100 },
+  ];
+
+  // Highest tabulated percentile the score reaches or passes
+  let lower = points[0];
+  for (const point of points) {
+    if (totalScore >= point.score) lower = point;
+  }
+  const upper = points.find((point) => point.score > totalScore);
+  if (!upper) return 100;
+
+  const fraction = (totalScore - lower.score) / (upper.score - lower.score);
+  return Math.round(
+    lower.percentile + fraction * (upper.percentile - lower.percentile)
+  );
+};
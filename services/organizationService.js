@@ -0,0 +1,121 @@
+// server/services/organizationService.js
+import { Organization } from "../models.js";
+import { getScoringProfile } from "./scoringProfiles.js";
+
+const ORGANIZATION_CONFIG = {
+  DEFAULT_ORIGIN: "http://localhost:5173",
+  ORIGINS_CACHE_MS: 60 * 1000, // Settings changes apply within a minute
+};
+
+const RETENTION_FIELDS = ["videoDays", "annotatedVideoDays", "keyFramesDays"];
+
+/**
+ * Origins allowed for every organization, from FRONTEND_URL
+ * (comma separated)
+ */
+export const getServerOrigins = () =>
+  (process.env.FRONTEND_URL || ORGANIZATION_CONFIG.DEFAULT_ORIGIN)
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+let cachedOrigins;
+let cachedAt = 0;
+
+const organizationOrigins = async () => {
+  if (
+    !cachedOrigins ||
+    Date.now() - cachedAt > ORGANIZATION_CONFIG.ORIGINS_CACHE_MS
+  ) {
+    cachedOrigins = new Set(
+      await Organization.distinct("settings.allowedOrigins")
+    );
+    cachedAt = Date.now();
+  }
+  return cachedOrigins;
+};
+
+export const clearOriginsCache = () => {
+  cachedOrigins = undefined;
+};
+
+/**
+ * Whether a browser origin may call the API at all. Preflight requests
+ * carry no token, so any organization's origins pass here; each request is
+ * checked against the caller's own organization once authenticated.
+ */
+export const isKnownOrigin = async (origin) =>
+  getServerOrigins().includes(origin) ||
+  (await organizationOrigins()).has(origin);
+
+export const isOriginAllowedFor = (organization, origin) =>
+  getServerOrigins().includes(origin) ||
+  (organization.settings?.allowedOrigins || []).includes(origin);
+
+/**
+ * Default scoring profile id for an organization's uploads, undefined for
+ * the server default
+ */
+export const scoringProfileFor = (organization) =>
+  organization?.settings?.scoringProfile || undefined;
+
+const isOrigin = (value) => {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:"].includes(url.protocol) && url.origin === value;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate a settings update. Returns { settings } holding only the fields
+ * given, or { error } for a 400 response. null clears a setting.
+ */
+export const parseOrganizationSettings = (body = {}) => {
+  const { scoringProfile, retention, allowedOrigins } = body;
+  const settings = {};
+
+  if (scoringProfile !== undefined) {
+    if (scoringProfile !== null && !getScoringProfile(scoringProfile)) {
+      return { error: "Unknown scoringProfile" };
+    }
+    settings.scoringProfile = scoringProfile;
+  }
+
+  if (retention !== undefined) {
+    if (!retention || typeof retention !== "object") {
+      return { error: "retention must be an object" };
+    }
+    for (const [field, value] of Object.entries(retention)) {
+      if (!RETENTION_FIELDS.includes(field)) {
+        return {
+          error: `Unknown retention setting ${field}. Supported: ${RETENTION_FIELDS.join(
+            ", "
+          )}`,
+        };
+      }
+      if (value !== null && !(Number.isFinite(value) && value >= 0)) {
+        return {
+          error: `retention.${field} must be a number of days, 0 keeps media forever`,
+        };
+      }
+      settings[`retention.${field}`] = value;
+    }
+  }
+
+  if (allowedOrigins !== undefined) {
+    if (!Array.isArray(allowedOrigins) || !allowedOrigins.every(isOrigin)) {
+      return {
+        error:
+          "allowedOrigins must be a list of origins such as https://clinic.example.com",
+      };
+    }
+    settings.allowedOrigins = [...new Set(allowedOrigins)];
+  }
+
+  if (Object.keys(settings).length === 0) {
+    return { error: "Nothing to change" };
+  }
+  return { settings };
+};
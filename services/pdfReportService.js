@@ -0,0 +1,240 @@
+// server/services/pdfReportService.js
+import PDFDocument from "pdfkit";
+import { buffer } from "stream/consumers";
+import { finalScores } from "./reviewService.js";
+import { getStorage } from "./storageService.js";
+
+const PDF_CONFIG = {
+  MARGIN: 50,
+  KEY_FRAME_WIDTH: 240,
+  KEY_FRAME_HEIGHT: 180,
+  MAX_KEY_FRAMES: 4,
+  COLORS: {
+    heading: "#1f3a5f",
+    text: "#222222",
+    muted: "#666666",
+    low: "#2e7d32",
+    moderate: "#f9a825",
+    high: "#c62828",
+  },
+};
+
+const PHASE_LABELS = {
+  sittingPhase: {
+    title: "Sitting phase",
+    fields: {
+      kneeFlexion: "Knee flexion",
+      hipControl: "Hip control",
+      spinalAlignment: "Spinal alignment",
+    },
+  },
+  risingPhase: {
+    title: "Rising phase",
+    fields: {
+      kneeExtension: "Knee extension",
+      hipDrive: "Hip drive",
+      stability: "Stability",
+    },
+  },
+};
+
+const FEEDBACK_SECTIONS = {
+  strengths: "Strengths",
+  improvements: "Areas for improvement",
+  recommendations: "Recommendations",
+};
+
+const formatScore = (value, max) =>
+  typeof value === "number" ? `${value.toFixed(1)} / ${max}` : "n/a";
+
+const formatPercent = (value) =>
+  typeof value === "number" ? `${Math.round(value * 100)}%` : "n/a";
+
+const heading = (doc, text) => {
+  doc
+    .moveDown()
+    .fillColor(PDF_CONFIG.COLORS.heading)
+    .fontSize(14)
+    .font("Helvetica-Bold")
+    .text(text)
+    .moveDown(0.3)
+    .fillColor(PDF_CONFIG.COLORS.text)
+    .fontSize(11)
+    .font("Helvetica");
+};
+
+const row = (doc, label, value) => {
+  doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+  doc.font("Helvetica").text(value);
+};
+
+/**
+ * Key frame images that still exist in storage
+ */
+const readableKeyFrames = async (keyFrames = []) => {
+  const frames = [];
+  for (const keyFrame of keyFrames) {
+    if (frames.length >= PDF_CONFIG.MAX_KEY_FRAMES) break;
+    try {
+      frames.push({
+        label: keyFrame.label,
+        data: await buffer(await getStorage().getStream(keyFrame.key)),
+      });
+    } catch {
+      // Frame no longer available, leave it out of the report
+    }
+  }
+  return frames;
+};
+
+const addKeyFrames = (doc, frames) => {
+  heading(doc, "Key frames");
+
+  if (frames.length === 0) {
+    doc.fillColor(PDF_CONFIG.COLORS.muted).text("No key frames available.");
+    return;
+  }
+
+  const left = PDF_CONFIG.MARGIN;
+  const gap = 15;
+  const captionHeight = 14;
+  const cellHeight = PDF_CONFIG.KEY_FRAME_HEIGHT + captionHeight + gap;
+
+  frames.forEach((frame, index) => {
+    const column = index % 2;
+    if (column === 0 && index > 0) doc.y += cellHeight;
+    if (column === 0 && doc.y + cellHeight > doc.page.maxY()) {
+      doc.addPage();
+    }
+
+    const x = left + column * (PDF_CONFIG.KEY_FRAME_WIDTH + gap);
+    const y = doc.y;
+    doc.image(frame.data, x, y, {
+      fit: [PDF_CONFIG.KEY_FRAME_WIDTH, PDF_CONFIG.KEY_FRAME_HEIGHT],
+    });
+    doc
+      .fontSize(9)
+      .fillColor(PDF_CONFIG.COLORS.muted)
+      .text(
+        frame.label.replace(/-/g, " "),
+        x,
+        y + PDF_CONFIG.KEY_FRAME_HEIGHT + 2,
+        { width: PDF_CONFIG.KEY_FRAME_WIDTH }
+      )
+      .fontSize(11)
+      .fillColor(PDF_CONFIG.COLORS.text);
+    doc.y = y;
+  });
+  doc.x = left;
+  doc.y += cellHeight;
+};
+
+/**
+ * Render a completed SRTResult as a PDF, resolves with the document buffer
+ */
+export const generateReportPdf = async (result) => {
+  const frames = await readableKeyFrames(result.keyFrames);
+  // Clinician-final scores, the same as the automated ones until reviewed
+  const scores = finalScores(result);
+  const { riskLevel } = scores;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PDF_CONFIG.MARGIN,
+    info: {
+      Title: `Sitting-Rising Test Report ${result._id}`,
+      Subject: "Sitting-Rising Test analysis",
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  // Title
+  doc
+    .fillColor(PDF_CONFIG.COLORS.heading)
+    .fontSize(20)
+    .font("Helvetica-Bold")
+    .text("Sitting-Rising Test Report")
+    .fontSize(10)
+    .font("Helvetica")
+    .fillColor(PDF_CONFIG.COLORS.muted)
+    .text(`Report ID: ${result._id}`)
+    .text(`Test date: ${new Date(result.timestamp).toLocaleString("en-GB")}`)
+    .fillColor(PDF_CONFIG.COLORS.text)
+    .fontSize(11);
+
+  // Scores
+  heading(doc, "Scores");
+  row(doc, "Sitting score", formatScore(scores.sitScore, 5));
+  row(doc, "Rising score", formatScore(scores.riseScore, 5));
+  row(doc, "Total score", formatScore(scores.totalScore, 10));
+  if (scores.adjusted) {
+    row(
+      doc,
+      "Automated total",
+      `${formatScore(result.totalScore, 10)}, adjusted on clinician review`
+    );
+  }
+  if (result.review?.status === "reviewed") {
+    row(
+      doc,
+      "Reviewed",
+      new Date(result.review.reviewedAt).toLocaleString("en-GB")
+    );
+  }
+  if (riskLevel) {
+    doc.font("Helvetica-Bold").text("Risk level: ", { continued: true });
+    doc
+      .fillColor(PDF_CONFIG.COLORS[riskLevel])
+      .text(riskLevel.toUpperCase())
+      .fillColor(PDF_CONFIG.COLORS.text)
+      .font("Helvetica");
+  }
+  if (scores.normative?.basis === "age-sex") {
+    row(
+      doc,
+      "Percentile",
+      `${scores.normative.percentile} (${scores.normative.sex}, age ${scores.normative.ageBand})`
+    );
+  }
+
+  heading(doc, "Movement quality");
+  row(doc, "Postural control", formatPercent(result.posturalControl));
+  row(doc, "Balance", formatPercent(result.balance));
+  row(doc, "Coordination", formatPercent(result.coordination));
+  if (typeof result.asymmetry?.index === "number") {
+    row(
+      doc,
+      "Left/right asymmetry",
+      `${formatPercent(result.asymmetry.index)} (filmed from the ${
+        result.asymmetry.primarySide
+      } side)`
+    );
+  }
+
+  // Phase sub-scores
+  Object.entries(PHASE_LABELS).forEach(([phase, { title, fields }]) => {
+    heading(doc, title);
+    Object.entries(fields).forEach(([field, label]) =>
+      row(doc, label, formatPercent(result[phase]?.[field]))
+    );
+  });
+
+  // Feedback
+  Object.entries(FEEDBACK_SECTIONS).forEach(([section, title]) => {
+    const items = result.feedback?.[section] || [];
+    if (items.length === 0) return;
+    heading(doc, title);
+    doc.list(items, { bulletRadius: 2 });
+  });
+
+  addKeyFrames(doc, frames);
+
+  doc.end();
+  return finished;
+};
@@ -0,0 +1,106 @@
+// server/services/poseProviders.js
+import * as poseDetection from "@tensorflow-models/pose-detection";
+
+// Downstream scoring expects the 17 COCO keypoint names MoveNet produces
+const COCO_KEYPOINT_NAMES = new Set(
+  Object.keys(
+    poseDetection.util.getKeypointIndexByName(
+      poseDetection.SupportedModels.MoveNet
+    )
+  )
+);
+
+// maxPoses above 1 lets the subject tracker tell people apart
+const POSE_PROVIDERS = {
+  "movenet-multipose": {
+    model: poseDetection.SupportedModels.MoveNet,
+    version: "movenet/multipose/lightning/1",
+    maxPoses: 6,
+    detectorConfig: {
+      modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+      enableTracking: false, // Tracked across frames by subjectTracker
+    },
+  },
+  "movenet-lightning": {
+    model: poseDetection.SupportedModels.MoveNet,
+    version: "movenet/singlepose/lightning/4",
+    detectorConfig: {
+      modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING,
+      enableSmoothing: true,
+      multiPoseMaxDimension: 256, // Reduce resolution for faster processing
+    },
+  },
+  "movenet-thunder": {
+    model: poseDetection.SupportedModels.MoveNet,
+    version: "movenet/singlepose/thunder/4",
+    detectorConfig: {
+      modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
+      enableSmoothing: true,
+    },
+  },
+  "blazepose-full": {
+    model: poseDetection.SupportedModels.BlazePose,
+    version: "blazepose-3d/full/1",
+    detectorConfig: {
+      runtime: "tfjs",
+      modelType: "full",
+      enableSmoothing: true,
+    },
+  },
+};
+
+export const POSE_MODELS = Object.keys(POSE_PROVIDERS);
+
+export const DEFAULT_POSE_MODEL = "movenet-multipose";
+
+/**
+ * Model used when a request doesn't name one, configurable via POSE_MODEL
+ */
+export const getDefaultPoseModel = () =>
+  POSE_PROVIDERS[process.env.POSE_MODEL]
+    ? process.env.POSE_MODEL
+    : DEFAULT_POSE_MODEL;
+
+/**
+ * Keep the COCO keypoints with MoveNet naming, whatever the model
+ */
+const normalizePose = (pose, imageSize) => ({
+  score: pose.score,
+  keypoints: pose.keypoints
+    .filter((kp) => COCO_KEYPOINT_NAMES.has(kp.name))
+    .map(({ name, x, y, score }) => ({ name, x, y, score })),
+  imageSize,
+});
+
+/**
+ * Create a pose provider: { name, version, estimatePoses(image), dispose() }
+ * estimatePoses resolves with every person found, possibly none
+ */
+export const createPoseProvider = async (name = getDefaultPoseModel()) => {
+  const provider = POSE_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown pose model "${name}". Supported: ${POSE_MODELS.join(", ")}`
+    );
+  }
+
+  const detector = await poseDetection.createDetector(
+    provider.model,
+    provider.detectorConfig
+  );
+
+  return {
+    name,
+    version: provider.version,
+    estimatePoses: async (image) => {
+      const [height, width] = image.shape;
+      const poses = await detector.estimatePoses(image, {
+        maxPoses: provider.maxPoses || 1,
+        flipHorizontal: false,
+        scoreThreshold: 0.3,
+      });
+      return poses.map((pose) => normalizePose(pose, { width, height }));
+    },
+    dispose: () => detector.dispose(),
+  };
+};
@@ -0,0 +1,95 @@
+// server/services/poseTimelineService.js
+
+const VALUES_PER_KEYPOINT = 3; // x, y, score
+
+const round = (value, digits) =>
+  typeof value === "number" && !isNaN(value)
+    ? Number(value.toFixed(digits))
+    : null;
+
+/**
+ * Compact PoseTimeline fields from the analysis frame timeline
+ */
+export const toCompactTimeline = ({
+  frameTimeline,
+  transitionFrame,
+  poseModel,
+  imageSize,
+}) => {
+  const keypointNames = [];
+  frameTimeline.forEach((frame) =>
+    frame.keypoints.forEach((kp) => {
+      if (!keypointNames.includes(kp.name)) keypointNames.push(kp.name);
+    })
+  );
+
+  const frames = frameTimeline.map((frame) => {
+    const byName = new Map(frame.keypoints.map((kp) => [kp.name, kp]));
+    return {
+      index: frame.index,
+      timestamp: frame.timestamp,
+      // Frames without a detected pose keep an empty list
+      values:
+        frame.keypoints.length === 0
+          ? []
+          : keypointNames.flatMap((name) => {
+              const kp = byName.get(name);
+              return [round(kp?.x, 2), round(kp?.y, 2), round(kp?.score, 3)];
+            }),
+    };
+  });
+
+  return { keypointNames, frames, transitionFrame, poseModel, imageSize };
+};
+
+/**
+ * Frames with named keypoints, as the analysis produced them
+ */
+export const expandFrames = (timeline) =>
+  timeline.frames.map((frame) => ({
+    index: frame.index,
+    timestamp: frame.timestamp,
+    keypoints:
+      frame.values.length === 0
+        ? []
+        : timeline.keypointNames
+            .map((name, i) => {
+              const offset = i * VALUES_PER_KEYPOINT;
+              return {
+                name,
+                x: frame.values[offset],
+                y: frame.values[offset + 1],
+                score: frame.values[offset + 2],
+              };
+            })
+            .filter((kp) => kp.x !== null && kp.y !== null),
+  }));
+
+const CSV_COLUMNS = ["frame_index", "timestamp", "keypoint", "x", "y", "score"];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per frame and keypoint
+ */
+export const timelineToCsv = (timeline) => {
+  const rows = expandFrames(timeline).flatMap((frame) =>
+    frame.keypoints.map((kp) => [
+      frame.index,
+      frame.timestamp,
+      kp.name,
+      kp.x,
+      kp.y,
+      kp.score,
+    ])
+  );
+
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvValue).join(","))
+    .join("\n")
+    .concat("\n");
+};
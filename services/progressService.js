@@ -0,0 +1,39 @@
+// server/services/progressService.js
+import { EventEmitter } from "events";
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open SSE connection
+
+// Last event per result so late subscribers can catch up
+const latestEvents = new Map();
+
+const TERMINAL_STAGES = ["completed", "failed"];
+
+export const isTerminalStage = (stage) => TERMINAL_STAGES.includes(stage);
+
+/**
+ * Publish a progress event for an analysis
+ */
+export const publishProgress = (resultId, event) => {
+  const key = String(resultId);
+  const payload = { ...event, resultId: key, timestamp: Date.now() };
+
+  if (isTerminalStage(event.stage)) {
+    latestEvents.delete(key);
+  } else {
+    latestEvents.set(key, payload);
+  }
+  emitter.emit(key, payload);
+};
+
+/**
+ * Subscribe to progress events, returns an unsubscribe function
+ */
+export const subscribeProgress = (resultId, listener) => {
+  const key = String(resultId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+export const getLatestProgress = (resultId) =>
+  latestEvents.get(String(resultId));
@@ -0,0 +1,268 @@
+// server/services/qualityCheckService.js
+// Pre-analysis quality gate: samples a few frames and rejects videos the
+// pose model can't score reliably, with reasons a patient can act on
+import * as tf from "@tensorflow/tfjs-node";
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs/promises";
+import path from "path";
+import { getVideoDuration } from "./videoService.js";
+import { createPoseProvider } from "./poseProviders.js";
+import { selectSubject } from "./subjectTracker.js";
+
+const QUALITY_CONFIG = {
+  SAMPLE_FRAMES: 8,
+  SAMPLE_WIDTH: 640,
+  KEYPOINT_THRESHOLD: 0.3,
+  MIN_DURATION: 3, // Seconds, a full sit and rise takes longer
+  MAX_DURATION: 60,
+  MIN_MEAN_CONFIDENCE: 0.4,
+  MIN_BRIGHTNESS: 0.2, // Mean luma, 0 (black) - 1 (white)
+  MAX_BRIGHTNESS: 0.9,
+  // Shoulder width over torso height above this means a front-on view
+  HEAD_ON_RATIO: 0.6,
+  // Share of sampled frames a problem must affect to reject the video
+  MAX_FAILING_FRAMES: 0.3,
+};
+
+// Body regions that must be in frame, any listed keypoint counts as visible
+const BODY_REGIONS = {
+  head: ["nose", "left_eye", "right_eye", "left_ear", "right_ear"],
+  shoulders: ["left_shoulder", "right_shoulder"],
+  hips: ["left_hip", "right_hip"],
+  knees: ["left_knee", "right_knee"],
+  feet: ["left_ankle", "right_ankle"],
+};
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+const sampleFrames = (videoPath, folder) =>
+  new Promise((resolve, reject) => {
+    let filenames = [];
+    ffmpeg(videoPath)
+      .on("filenames", (names) => {
+        filenames = names;
+      })
+      .on("end", () =>
+        resolve(filenames.map((name) => path.join(folder, name)))
+      )
+      .on("error", reject)
+      .screenshots({
+        count: QUALITY_CONFIG.SAMPLE_FRAMES,
+        folder,
+        filename: "check-%i.jpg",
+        size: `${QUALITY_CONFIG.SAMPLE_WIDTH}x?`,
+      });
+  });
+
+/**
+ * Mean luma of an image tensor, 0-1
+ */
+const measureBrightness = (image) =>
+  tf.tidy(
+    () =>
+      image
+        .toFloat()
+        .mul(tf.tensor1d([0.299, 0.587, 0.114]))
+        .sum(-1)
+        .mean()
+        .div(255)
+        .dataSync()[0]
+  );
+
+/**
+ * Visibility, confidence and camera angle measurements for one pose
+ */
+const measurePose = (pose) => {
+  const keypoints = Object.fromEntries(
+    (pose?.keypoints || []).map((kp) => [kp.name, kp])
+  );
+  const isVisible = (name) =>
+    keypoints[name]?.score > QUALITY_CONFIG.KEYPOINT_THRESHOLD;
+
+  const missingRegions = Object.entries(BODY_REGIONS)
+    .filter(([, names]) => !names.some(isVisible))
+    .map(([region]) => region);
+
+  const scores = Object.values(keypoints).map((kp) => kp.score);
+  const meanConfidence =
+    scores.length > 0
+      ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+      : 0;
+
+  // A side view hides one shoulder behind the other
+  let headOn = false;
+  const { left_shoulder, right_shoulder, left_hip, right_hip } = keypoints;
+  if (
+    ["left_shoulder", "right_shoulder", "left_hip", "right_hip"].every(
+      isVisible
+    )
+  ) {
+    const shoulderWidth = Math.abs(left_shoulder.x - right_shoulder.x);
+    const torsoHeight = Math.abs(
+      (left_hip.y + right_hip.y) / 2 - (left_shoulder.y + right_shoulder.y) / 2
+    );
+    headOn =
+      torsoHeight > 0 &&
+      shoulderWidth / torsoHeight > QUALITY_CONFIG.HEAD_ON_RATIO;
+  }
+
+  return { detected: Boolean(pose), missingRegions, meanConfidence, headOn };
+};
+
+/**
+ * Turn per-frame measurements into rejection reasons
+ */
+const collectReasons = (frames) => {
+  const reasons = [];
+  const share = (predicate) =>
+    frames.filter(predicate).length / Math.max(1, frames.length);
+  const tooMany = (ratio) => ratio > QUALITY_CONFIG.MAX_FAILING_FRAMES;
+
+  const noPerson = share((frame) => !frame.detected);
+  if (tooMany(noPerson)) {
+    reasons.push({
+      code: "person_not_detected",
+      message: `No person detected in ${percent(noPerson)} of frames`,
+      frameRatio: noPerson,
+    });
+  }
+
+  Object.keys(BODY_REGIONS).forEach((region) => {
+    const missing = share(
+      (frame) => frame.detected && frame.missingRegions.includes(region)
+    );
+    if (tooMany(missing)) {
+      reasons.push({
+        code: `${region}_not_visible`,
+        message: `${region[0].toUpperCase()}${region.slice(1)} not visible in ${percent(missing)} of frames`,
+        frameRatio: missing,
+      });
+    }
+  });
+
+  const lowConfidence = share(
+    (frame) =>
+      frame.detected &&
+      frame.meanConfidence < QUALITY_CONFIG.MIN_MEAN_CONFIDENCE
+  );
+  if (tooMany(lowConfidence)) {
+    reasons.push({
+      code: "low_keypoint_confidence",
+      message: `Body position unclear in ${percent(lowConfidence)} of frames, avoid loose clothing and cluttered backgrounds`,
+      frameRatio: lowConfidence,
+    });
+  }
+
+  const dark = share(
+    (frame) => frame.brightness < QUALITY_CONFIG.MIN_BRIGHTNESS
+  );
+  if (tooMany(dark)) {
+    reasons.push({
+      code: "too_dark",
+      message: `Video too dark in ${percent(dark)} of frames, film in a well lit room`,
+      frameRatio: dark,
+    });
+  }
+
+  const bright = share(
+    (frame) => frame.brightness > QUALITY_CONFIG.MAX_BRIGHTNESS
+  );
+  if (tooMany(bright)) {
+    reasons.push({
+      code: "too_bright",
+      message: `Video overexposed in ${percent(bright)} of frames, avoid filming towards a window`,
+      frameRatio: bright,
+    });
+  }
+
+  const headOn = share((frame) => frame.headOn);
+  if (tooMany(headOn)) {
+    reasons.push({
+      code: "camera_head_on",
+      message:
+        "Camera facing patient head-on, film from the side so one hip and knee face the camera",
+      frameRatio: headOn,
+    });
+  }
+
+  return reasons;
+};
+
+/**
+ * Check a video before analysis.
+ * Resolves with { passed, reasons: [{ code, message, ... }], metrics }
+ */
+export const checkVideoQuality = async (
+  videoPath,
+  { poseModel, subjectBox } = {}
+) => {
+  const duration = await getVideoDuration(videoPath);
+  if (!Number.isFinite(duration)) {
+    return {
+      passed: false,
+      reasons: [
+        {
+          code: "unreadable_duration",
+          message:
+            "Video length could not be read, record again or save the video in another format",
+        },
+      ],
+      metrics: {},
+    };
+  }
+  const metrics = { duration: Number(duration.toFixed(2)) };
+
+  if (
+    duration < QUALITY_CONFIG.MIN_DURATION ||
+    duration > QUALITY_CONFIG.MAX_DURATION
+  ) {
+    return {
+      passed: false,
+      reasons: [
+        {
+          code:
+            duration < QUALITY_CONFIG.MIN_DURATION ? "too_short" : "too_long",
+          message: `Video is ${metrics.duration}s, record the full sit and rise in ${QUALITY_CONFIG.MIN_DURATION}-${QUALITY_CONFIG.MAX_DURATION}s`,
+          duration: metrics.duration,
+        },
+      ],
+      metrics,
+    };
+  }
+
+  const folder = path.join("uploads", `quality-${Date.now()}`);
+  await fs.mkdir(folder, { recursive: true });
+  let poseProvider;
+
+  try {
+    const framePaths = await sampleFrames(videoPath, folder);
+    poseProvider = await createPoseProvider(poseModel);
+
+    const frames = [];
+    for (const framePath of framePaths) {
+      const image = tf.node.decodeImage(await fs.readFile(framePath), 3);
+      try {
+        const brightness = measureBrightness(image);
+        const poses = await poseProvider.estimatePoses(image);
+        const pose = selectSubject(poses, subjectBox);
+        frames.push({ brightness, ...measurePose(pose) });
+      } finally {
+        image.dispose();
+      }
+    }
+
+    const reasons = collectReasons(frames);
+    metrics.framesSampled = frames.length;
+    metrics.meanBrightness = Number(
+      (
+        frames.reduce((sum, frame) => sum + frame.brightness, 0) /
+        Math.max(1, frames.length)
+      ).toFixed(3)
+    );
+
+    return { passed: reasons.length === 0, reasons, metrics };
+  } finally {
+    poseProvider?.dispose();
+    await fs.rm(folder, { recursive: true, force: true });
+  }
+};
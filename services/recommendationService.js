@@ -0,0 +1,34 @@
+// server/services/recommendationService.js
+
+// Exercise plans per deduction type, highest priority first
+const DEDUCTION_RECOMMENDATIONS = [
+  {
+    types: ["hand", "forearm", "hand_on_knee"],
+    area: "Upper Body Strength",
+    exercises: ["Wall pushups", "Resistance band exercises"],
+    priority: "high",
+  },
+  {
+    types: ["knee", "side"],
+    area: "Lower Body Strength",
+    exercises: ["Chair squats", "Calf raises"],
+    priority: "medium",
+  },
+  {
+    types: ["balance"],
+    area: "Balance",
+    exercises: ["Single-leg stance", "Heel-to-toe walking"],
+    priority: "medium",
+  },
+];
+
+/**
+ * Structured recommendations for the deduction types seen on a result
+ */
+export const buildRecommendations = (deductionTypes = []) => {
+  const types = new Set(deductionTypes);
+
+  return DEDUCTION_RECOMMENDATIONS.filter((recommendation) =>
+    recommendation.types.some((type) => types.has(type))
+  ).map(({ area, exercises, priority }) => ({ area, exercises, priority }));
+};
@@ -0,0 +1,82 @@
+// server/services/rescoreService.js
+import { scorePoses } from "./tensorflowService.js";
+import { expandFrames } from "./poseTimelineService.js";
+import { applyScoring } from "./resultFields.js";
+import { getScoringProfile } from "./scoringProfiles.js";
+import { PoseTimeline } from "../models.js";
+
+/**
+ * Poses in the shape pose detection returned them, undefined where no pose
+ * was found so phase segmentation sees the same gaps
+ */
+const toPoses = (timeline) => {
+  const imageSize = timeline.imageSize?.width
+    ? { width: timeline.imageSize.width, height: timeline.imageSize.height }
+    : undefined;
+  return expandFrames(timeline).map((frame) =>
+    frame.keypoints.length > 0
+      ? { keypoints: frame.keypoints, imageSize }
+      : undefined
+  );
+};
+
+const snapshotScores = (result, { reason, rescoredBy }) => ({
+  sitScore: result.sitScore,
+  riseScore: result.riseScore,
+  totalScore: result.totalScore,
+  posturalControl: result.posturalControl,
+  balance: result.balance,
+  coordination: result.coordination,
+  riskLevel: result.riskLevel,
+  scoringMode: result.scoringMode,
+  scoringProfile: result.scoringProfile,
+  deductions: result.deductions,
+  scoredAt: result.rescoredAt || result.completedAt,
+  replacedAt: new Date(),
+  replacedBy: rescoredBy,
+  reason,
+});
+
+/**
+ * Score a completed result again from its stored keypoints, without running
+ * pose detection. The replaced scores are kept in scoreHistory.
+ * `profile` defaults to the latest version of the result's scoring profile.
+ * Returns null when the result has no stored pose timeline, with
+ * `persist: false` the result is updated in memory only.
+ */
+export const rescoreResult = async (
+  result,
+  {
+    scoringMode = result.scoringMode,
+    profile = getScoringProfile(result.scoringProfile?.id || undefined),
+    reason,
+    rescoredBy,
+    persist = true,
+  } = {}
+) => {
+  if (!profile) throw new Error("Unknown scoring profile");
+
+  const timeline = await PoseTimeline.findOne({ result: result._id });
+  if (!timeline) return null;
+
+  const scoring = scorePoses(toPoses(timeline), {
+    timestamps: timeline.frames.map((frame) => frame.timestamp),
+    scoringMode,
+    profile,
+  });
+
+  result.scoreHistory.push(snapshotScores(result, { reason, rescoredBy }));
+  applyScoring(result, scoring);
+  result.scoringMode = scoringMode;
+  result.rescoredAt = new Date();
+  if (!persist) return result;
+  await result.save();
+
+  // Keep the exported transition in step with the current scores
+  if (timeline.transitionFrame !== scoring.transitionFrame) {
+    timeline.transitionFrame = scoring.transitionFrame;
+    await timeline.save();
+  }
+
+  return result;
+};
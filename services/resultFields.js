@@ -0,0 +1,59 @@
+// server/services/resultFields.js
+import { stratifyRisk } from "./riskService.js";
+import { buildRecommendations } from "./recommendationService.js";
+
+// Fallback to 0 if NaN, never negative
+const toScore = (value) => (isNaN(value) ? 0 : Math.max(0, value));
+
+/**
+ * Map the output of analyzeSRTVideo onto SRTResult fields
+ */
+export const toResultFields = (analysis) => ({
+  // Basic scores
+  sitScore: toScore(analysis.sitScore),
+  riseScore: toScore(analysis.riseScore),
+  totalScore: toScore(analysis.totalScore),
+
+  // Detailed analysis
+  posturalControl: toScore(analysis.posturalControl),
+  balance: toScore(analysis.balance),
+  coordination: toScore(analysis.coordination),
+
+  // Movement phases
+  sittingPhase: {
+    kneeFlexion: toScore(analysis.sittingPhase.kneeFlexion),
+    hipControl: toScore(analysis.sittingPhase.hipControl),
+    spinalAlignment: toScore(analysis.sittingPhase.spinalAlignment),
+  },
+  risingPhase: {
+    kneeExtension: toScore(analysis.risingPhase.kneeExtension),
+    hipDrive: toScore(analysis.risingPhase.hipDrive),
+    stability: toScore(analysis.risingPhase.stability),
+  },
+
+  asymmetry: analysis.asymmetry,
+  scoringProfile: analysis.scoringProfile,
+
+  // Protocol deductions (clinical mode only)
+  deductions: analysis.deductions,
+
+  // Feedback and recommendations, quality mode supports count as deductions
+  feedback: analysis.feedback,
+  recommendations: buildRecommendations([
+    ...analysis.deductions.map((deduction) => deduction.type),
+    ...analysis.supportPointsUsed.flat().map((type) => type.toLowerCase()),
+  ]),
+});
+
+/**
+ * Write scores, feedback and risk from a scoring run onto an SRTResult
+ */
+export const applyScoring = (result, scoring) => {
+  const fields = toResultFields(scoring);
+  Object.assign(
+    result,
+    fields,
+    stratifyRisk(fields.totalScore, result.demographics)
+  );
+  return result;
+};
@@ -0,0 +1,159 @@
+// server/services/resultMigration.js
+// Converters from the retired Analysis and Result documents into SRTResult
+import mongoose from "mongoose";
+import { RESULT_SCHEMA_VERSION } from "../models.js";
+import { assessRiskLevel } from "./riskService.js";
+import { buildRecommendations } from "./recommendationService.js";
+
+// Analysis deduction types that were renamed in SRTResult
+const DEDUCTION_TYPE_MAP = {
+  elbow: "forearm",
+};
+
+const STATUS_MAP = {
+  completed: "completed",
+  failed: "failed",
+  // Legacy jobs have no worker left to finish them
+  processing: "failed",
+};
+
+const clamp = (value, max) =>
+  typeof value === "number" && !isNaN(value)
+    ? Math.max(0, Math.min(max, value))
+    : undefined;
+
+const toObjectId = (value) =>
+  value && mongoose.isValidObjectId(value)
+    ? new mongoose.Types.ObjectId(String(value))
+    : undefined;
+
+/**
+ * SRTResult fields for a document of the old `analyses` collection
+ */
+export const fromAnalysis = (doc, fallbackOwner) => {
+  const sitScore = clamp(doc.scores?.sitting, 5);
+  const riseScore = clamp(doc.scores?.rising, 5);
+  const deductions = (doc.deductions || []).map((deduction) => ({
+    type: DEDUCTION_TYPE_MAP[deduction.type] || deduction.type,
+    // Analysis stored penalties as negative points, as SRTResult does
+    points: -Math.abs(deduction.points || 0),
+    phase: deduction.phase,
+    timestamp: deduction.timestamp,
+  }));
+  const totalScore = clamp(
+    doc.scores?.total ?? (sitScore ?? 0) + (riseScore ?? 0),
+    10
+  );
+  const processingStatus = STATUS_MAP[doc.status] || "failed";
+
+  return {
+    owner: toObjectId(fallbackOwner),
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    scoringMode: "clinical",
+    sitScore,
+    riseScore,
+    totalScore,
+    deductions,
+    recommendations: doc.recommendations?.length
+      ? doc.recommendations
+      : buildRecommendations(deductions.map((deduction) => deduction.type)),
+    riskLevel: doc.riskLevel || assessRiskLevel(totalScore) || undefined,
+    videoKey: doc.videoUrl || "unknown",
+    timestamp: doc.createdAt || doc._id.getTimestamp(),
+    processingStatus,
+    processingError:
+      doc.status === "processing"
+        ? "Migrated while still processing"
+        : undefined,
+    completedAt:
+      processingStatus === "completed"
+        ? doc.updatedAt || doc.createdAt || doc._id.getTimestamp()
+        : undefined,
+    legacySource: { collection: "analyses", id: doc._id },
+  };
+};
+
+/**
+ * SRTResult fields for a document of the old `results` collection
+ */
+export const fromLegacyResult = (doc, fallbackOwner) => {
+  const totalScore = clamp(doc.totalScore, 10);
+
+  return {
+    owner: toObjectId(doc.userId) || toObjectId(fallbackOwner),
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    scoringMode: "quality",
+    sitScore: clamp(doc.sittingScore, 5),
+    riseScore: clamp(doc.risingScore, 5),
+    totalScore,
+    // Result kept a flat list of feedback messages
+    feedback: {
+      strengths: [],
+      improvements: doc.feedback || [],
+      recommendations: [],
+    },
+    riskLevel: assessRiskLevel(totalScore) || undefined,
+    videoKey: doc.videoPath || "unknown",
+    timestamp: doc.timestamp || doc._id.getTimestamp(),
+    processingStatus: "completed",
+    completedAt: doc.timestamp || doc._id.getTimestamp(),
+    legacySource: { collection: "results", id: doc._id },
+  };
+};
+
+/**
+ * Raw update bringing an older SRTResult document to the current shape.
+ * `stored` holds the storage keys its local media files were copied to:
+ * { videoKey, annotatedVideoKey, keyFrames: [{ key, thumbnailKey }] }.
+ * `owner` is assigned to results saved without one and `organization`, the
+ * owner's, to results from before organizations.
+ */
+export const upgradeSrtResult = (
+  doc,
+  stored = {},
+  { owner, organization } = {}
+) => {
+  const $set = { schemaVersion: RESULT_SCHEMA_VERSION };
+  const $unset = {};
+
+  if (!doc.owner && owner) $set.owner = owner;
+  if (!doc.organization && organization) $set.organization = organization;
+
+  // Version 1 stored frame paths that were deleted right after saving
+  if ((doc.keyFrames || []).some((frame) => typeof frame === "string")) {
+    $set.keyFrames = [];
+  } else if ((doc.keyFrames || []).some((frame) => frame.path)) {
+    // Version 2 kept media as local file paths, version 3 as storage keys
+    $set.keyFrames = doc.keyFrames.map((frame, index) => ({
+      label: frame.label,
+      frameIndex: frame.frameIndex,
+      supports: frame.supports,
+      key: stored.keyFrames?.[index]?.key,
+      thumbnailKey: stored.keyFrames?.[index]?.thumbnailKey,
+    }));
+  }
+  if (doc.videoPath !== undefined) {
+    $set.videoKey = stored.videoKey || doc.videoPath;
+    $unset.videoPath = "";
+  }
+  if (doc.annotatedVideoPath !== undefined) {
+    if (stored.annotatedVideoKey) {
+      $set.annotatedVideoKey = stored.annotatedVideoKey;
+    }
+    $unset.annotatedVideoPath = "";
+  }
+  if (!doc.riskLevel && doc.processingStatus === "completed") {
+    const riskLevel = assessRiskLevel(doc.totalScore);
+    if (riskLevel) {
+      $set.riskLevel = riskLevel;
+      $set.normative = { basis: "absolute" };
+    }
+  }
+  if (!doc.scoringMode) $set.scoringMode = "quality";
+  // Results from before background analysis were never given one
+  if (!doc.completedAt && doc.processingStatus === "completed") {
+    $set.completedAt = doc.updatedAt || doc.timestamp || doc._id.getTimestamp();
+  }
+
+  return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+};
@@ -0,0 +1,286 @@
+// server/services/retentionService.js
+// Deletes analysis media once it is past the retention period, plus the
+// scratch files and upload parts left behind by crashed jobs. Scores, pose
+// data and the result itself are always kept.
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import os from "os";
+import path from "path";
+import { Organization, SRTResult, UploadSession } from "../models.js";
+import { getStorage, storageKeys } from "./storageService.js";
+
+const RETENTION_CONFIG = {
+  // Days after upload, 0 keeps the media forever
+  VIDEO_DAYS: 30,
+  ANNOTATED_VIDEO_DAYS: 0,
+  KEY_FRAMES_DAYS: 0,
+  ORPHAN_HOURS: 6, // Age before scratch files count as abandoned
+  SWEEP_INTERVAL_MINUTES: 60, // 0 disables the scheduled sweep
+  UPLOADS_DIR: "uploads",
+  TEMP_PREFIX: "srt-", // Scratch files and directories in the OS temp dir
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Only finished results, a pending analysis still needs its video
+const FINISHED_STATUSES = ["completed", "failed"];
+
+const envNumber = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${raw}"`);
+  }
+  return value;
+};
+
+/**
+ * Retention periods in days per kind of media, 0 keeps it forever.
+ * An organization's own settings take precedence over the server's.
+ */
+export const getRetentionPolicy = (organization) => {
+  const overrides = organization?.settings?.retention || {};
+  const days = (field, name, fallback) =>
+    typeof overrides[field] === "number"
+      ? overrides[field]
+      : envNumber(name, fallback);
+
+  return {
+    videoDays: days(
+      "videoDays",
+      "RETENTION_VIDEO_DAYS",
+      RETENTION_CONFIG.VIDEO_DAYS
+    ),
+    annotatedVideoDays: days(
+      "annotatedVideoDays",
+      "RETENTION_ANNOTATED_VIDEO_DAYS",
+      RETENTION_CONFIG.ANNOTATED_VIDEO_DAYS
+    ),
+    keyFramesDays: days(
+      "keyFramesDays",
+      "RETENTION_KEY_FRAMES_DAYS",
+      RETENTION_CONFIG.KEY_FRAMES_DAYS
+    ),
+  };
+};
+
+// Media kinds with their policy period, query and deletion
+const MEDIA_KINDS = [
+  {
+    name: "video",
+    days: (policy) => policy.videoDays,
+    query: { videoKey: { $exists: true } },
+    keys: (result) => [result.videoKey],
+  },
+  {
+    name: "annotatedVideo",
+    days: (policy) => policy.annotatedVideoDays,
+    query: { annotatedVideoKey: { $exists: true } },
+    keys: (result) => [result.annotatedVideoKey],
+  },
+  {
+    name: "keyFrames",
+    days: (policy) => policy.keyFramesDays,
+    query: { "keyFrames.0": { $exists: true } },
+    keys: (result) =>
+      result.keyFrames.flatMap((frame) => [frame.key, frame.thumbnailKey]),
+  },
+];
+
+/**
+ * Delete one organization's media past its retention period and record the
+ * purge on each result, counting results per media kind into `stats`
+ */
+const purgeScope = async ({ scope, policy, now, dryRun, stats }) => {
+  const storage = getStorage();
+
+  for (const kind of MEDIA_KINDS) {
+    const days = kind.days(policy);
+    if (!days) continue;
+
+    const cursor = SRTResult.find({
+      ...scope,
+      ...kind.query,
+      processingStatus: { $in: FINISHED_STATUSES },
+      timestamp: { $lt: new Date(now.getTime() - days * DAY_MS) },
+      [`mediaPurge.${kind.name}`]: { $exists: false },
+    }).cursor();
+
+    for await (const result of cursor) {
+      if (!dryRun) {
+        for (const key of kind.keys(result).filter(Boolean)) {
+          await storage.remove(key);
+        }
+        await SRTResult.updateOne(
+          { _id: result._id },
+          { $set: { [`mediaPurge.${kind.name}`]: now } }
+        );
+      }
+      stats[kind.name]++;
+    }
+  }
+};
+
+/**
+ * Delete media past each organization's retention period. Resolves with
+ * the number of results purged per media kind.
+ */
+export const purgeExpiredMedia = async ({
+  now = new Date(),
+  dryRun = false,
+} = {}) => {
+  const stats = Object.fromEntries(MEDIA_KINDS.map((kind) => [kind.name, 0]));
+
+  for await (const organization of Organization.find().cursor()) {
+    await purgeScope({
+      scope: { organization: organization._id },
+      policy: getRetentionPolicy(organization),
+      now,
+      dryRun,
+      stats,
+    });
+  }
+  // Results from before organizations existed follow the server policy
+  await purgeScope({
+    scope: { organization: { $exists: false } },
+    policy: getRetentionPolicy(),
+    now,
+    dryRun,
+    stats,
+  });
+
+  return stats;
+};
+
+/**
+ * Entries of a directory last modified before `cutoff`
+ */
+const staleEntries = async (directory, cutoff, filter = () => true) => {
+  let entries;
+  try {
+    entries = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const stale = [];
+  for (const name of entries.filter(filter)) {
+    const entryPath = path.join(directory, name);
+    const stats = await fs.stat(entryPath).catch(() => null);
+    if (stats && stats.mtime < cutoff) stale.push(entryPath);
+  }
+  return stale;
+};
+
+/**
+ * Remove scratch files nothing refers to any more: frames-* and quality-*
+ * directories and raw uploads under uploads/, temp files from media
+ * rendering and downloads, and the stored parts of expired upload sessions.
+ */
+export const sweepOrphanedFiles = async ({
+  now = new Date(),
+  dryRun = false,
+} = {}) => {
+  const cutoff = new Date(
+    now.getTime() -
+      envNumber("RETENTION_ORPHAN_HOURS", RETENTION_CONFIG.ORPHAN_HOURS) *
+        HOUR_MS
+  );
+
+  // Uploads are moved into storage straight away, so anything old is left over
+  const localEntries = [
+    ...(await staleEntries(
+      RETENTION_CONFIG.UPLOADS_DIR,
+      cutoff,
+      (name) => name !== ".gitkeep"
+    )),
+    ...(await staleEntries(os.tmpdir(), cutoff, (name) =>
+      name.startsWith(RETENTION_CONFIG.TEMP_PREFIX)
+    )),
+  ];
+  if (!dryRun) {
+    for (const entry of localEntries) {
+      await fs.rm(entry, { recursive: true, force: true });
+    }
+  }
+
+  // Parts of sessions removed by the UploadSession TTL index
+  const storage = getStorage();
+  const partsPrefix = storageKeys.allUploadParts;
+  const newestPart = new Map();
+  for (const part of await storage.list(partsPrefix)) {
+    const sessionId = part.key.slice(partsPrefix.length).split("/")[0];
+    const latest = newestPart.get(sessionId);
+    if (!latest || part.lastModified > latest) {
+      newestPart.set(sessionId, part.lastModified);
+    }
+  }
+
+  let uploadSessions = 0;
+  for (const [sessionId, lastModified] of newestPart) {
+    if (lastModified >= cutoff) continue;
+    if (
+      mongoose.isValidObjectId(sessionId) &&
+      (await UploadSession.exists({ _id: sessionId }))
+    ) {
+      continue;
+    }
+
+    if (!dryRun) await storage.removePrefix(storageKeys.uploadParts(sessionId));
+    uploadSessions++;
+  }
+
+  return { localEntries: localEntries.length, uploadSessions };
+};
+
+/**
+ * One full sweep: expired media, then orphaned files
+ */
+export const runRetentionSweep = async (options = {}) => ({
+  purged: await purgeExpiredMedia(options),
+  orphaned: await sweepOrphanedFiles(options),
+});
+
+let sweepTimer;
+
+/**
+ * Sweep now and then every RETENTION_SWEEP_INTERVAL_MINUTES.
+ * Each instance sweeps on its own; deletions are safe to repeat.
+ */
+export const startRetentionSweeper = () => {
+  const minutes = envNumber(
+    "RETENTION_SWEEP_INTERVAL_MINUTES",
+    RETENTION_CONFIG.SWEEP_INTERVAL_MINUTES
+  );
+  if (!minutes || sweepTimer) return;
+
+  let sweeping = false;
+  const sweep = async () => {
+    // A slow sweep must not overlap the next one
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      const { purged, orphaned } = await runRetentionSweep();
+      const removed = [
+        ...Object.values(purged),
+        ...Object.values(orphaned),
+      ].reduce((sum, count) => sum + count, 0);
+      if (removed > 0) {
+        console.log("Retention sweep:", { ...purged, ...orphaned });
+      }
+    } catch (error) {
+      console.error("Retention sweep failed:", error);
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  sweep();
+  sweepTimer = setInterval(sweep, minutes * 60 * 1000);
+  // Never keep the process alive just for the sweeper
+  sweepTimer.unref();
+};
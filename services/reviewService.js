@@ -0,0 +1,326 @@
+// server/services/reviewService.js
+// Clinician review of automated scores. Overrides and deduction changes are
+// kept beside the automated scores, never over them, so a later re-score
+// still applies and every change stays in reviewHistory.
+import { DEDUCTION_TYPES } from "./clinicalScoring.js";
+import { assessRiskLevel, stratifyRisk } from "./riskService.js";
+import { getScoringProfile } from "./scoringProfiles.js";
+
+const REVIEW_STATUSES = ["unreviewed", "reviewed"];
+const PHASES = ["sitting", "rising"];
+const SIDES = ["left", "right"];
+const DEDUCTION_TYPE_VALUES = Object.values(DEDUCTION_TYPES);
+
+// Automated deductions are matched on these, they have no id of their own
+const sameDeduction = (a, b) =>
+  a.type === b.type &&
+  a.phase === b.phase &&
+  a.frameIndex === b.frameIndex &&
+  (a.side || null) === (b.side || null);
+
+// A removal request may leave out the side, then either limb matches
+const matchesTarget = (deduction, target) =>
+  sameDeduction(deduction, { side: deduction.side, ...target });
+
+const isRemoved = (review, deduction) =>
+  (review?.removedDeductions || []).some((removed) =>
+    sameDeduction(removed, deduction)
+  );
+
+const phasePoints = (deductions, phase) =>
+  deductions
+    .filter((deduction) => deduction.phase === phase)
+    .reduce((total, deduction) => total + deduction.points, 0);
+
+const clampScore = (value, max) => Math.max(0, Math.min(max, value));
+
+// Clinical section of the profile the result was scored with
+const clinicalConfig = (result) =>
+  (
+    getScoringProfile(
+      result.scoringProfile?.id || undefined,
+      result.scoringProfile?.version ?? undefined
+    ) || getScoringProfile()
+  ).clinical;
+
+/**
+ * Scores after clinician review: an overridden phase score replaces the
+ * automated one, otherwise added and removed deductions adjust it
+ */
+export const finalScores = (result) => {
+  const { review } = result;
+  const removed = result.deductions.filter((deduction) =>
+    isRemoved(review, deduction)
+  );
+  const added = review?.addedDeductions || [];
+  const adjusted =
+    typeof review?.sitScore === "number" ||
+    typeof review?.riseScore === "number" ||
+    added.length > 0 ||
+    removed.length > 0;
+
+  if (!adjusted) {
+    return {
+      sitScore: result.sitScore,
+      riseScore: result.riseScore,
+      totalScore: result.totalScore,
+      riskLevel: result.riskLevel || assessRiskLevel(result.totalScore),
+      normative: result.normative,
+      deductions: result.deductions,
+      adjusted,
+    };
+  }
+
+  const maxPhaseScore = clinicalConfig(result).maxPhaseScore;
+
+  const phaseScore = (phase, automated, override) => {
+    if (typeof override === "number") return override;
+    return clampScore(
+      automated + phasePoints(added, phase) - phasePoints(removed, phase),
+      maxPhaseScore
+    );
+  };
+
+  const sitScore = phaseScore("sitting", result.sitScore, review?.sitScore);
+  const riseScore = phaseScore("rising", result.riseScore, review?.riseScore);
+  const totalScore = sitScore + riseScore;
+
+  return {
+    sitScore,
+    riseScore,
+    totalScore,
+    ...stratifyRisk(totalScore, result.demographics),
+    deductions: [
+      ...result.deductions.filter((deduction) => !removed.includes(deduction)),
+      ...added,
+    ],
+    adjusted,
+  };
+};
+
+/**
+ * Automated scores, clinician-final scores and the review state, as
+ * returned with a report
+ */
+export const toReviewData = (result) => ({
+  automated: {
+    sitScore: result.sitScore,
+    riseScore: result.riseScore,
+    totalScore: result.totalScore,
+    riskLevel: result.riskLevel,
+    deductions: result.deductions,
+  },
+  final: finalScores(result),
+  review: {
+    status: result.review?.status || "unreviewed",
+    reviewedBy: result.review?.reviewedBy,
+    reviewedAt: result.review?.reviewedAt,
+    sitScore: result.review?.sitScore,
+    riseScore: result.review?.riseScore,
+    addedDeductions: result.review?.addedDeductions || [],
+    removedDeductions: result.review?.removedDeductions || [],
+  },
+  reviewHistory: result.reviewHistory,
+});
+
+const parseScoreOverride = (value, max) => {
+  if (value === null) return null; // Clears the override
+  return Number.isFinite(value) && value >= 0 && value <= max
+    ? value
+    : undefined;
+};
+
+/**
+ * Validate a review request body against a result.
+ * Returns { changes }, or { error } for a 400 response.
+ */
+export const parseReviewChanges = (result, body = {}) => {
+  const {
+    status,
+    reason,
+    sitScore,
+    riseScore,
+    addDeductions = [],
+    removeDeductions = [],
+  } = body;
+  const { maxPhaseScore, supportPoints, unsteadinessPoints } =
+    clinicalConfig(result);
+  const changes = { status, reason, addDeductions: [], removeDeductions: [] };
+
+  if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+    return {
+      error: `Invalid status. Supported: ${REVIEW_STATUSES.join(", ")}`,
+    };
+  }
+  if (!Array.isArray(addDeductions) || !Array.isArray(removeDeductions)) {
+    return { error: "addDeductions and removeDeductions must be arrays" };
+  }
+
+  for (const [field, value] of Object.entries({ sitScore, riseScore })) {
+    if (value === undefined) continue;
+    changes[field] = parseScoreOverride(value, maxPhaseScore);
+    if (changes[field] === undefined) {
+      return {
+        error: `${field} must be a number from 0 to ${maxPhaseScore}, or null to clear the override`,
+      };
+    }
+  }
+
+  for (const deduction of addDeductions) {
+    const { type, phase, side, points, timestamp, frameIndex } =
+      deduction || {};
+    if (!DEDUCTION_TYPE_VALUES.includes(type) || !PHASES.includes(phase)) {
+      return {
+        error: `Each added deduction needs a type (${DEDUCTION_TYPE_VALUES.join(
+          ", "
+        )}) and a phase (${PHASES.join(", ")})`,
+      };
+    }
+    if (
+      points !== undefined &&
+      !(Number.isFinite(points) && points > 0 && points <= maxPhaseScore)
+    ) {
+      return { error: `Deduction points must be from 0 to ${maxPhaseScore}` };
+    }
+    if (side !== undefined && !SIDES.includes(side)) {
+      return { error: `Deduction side must be one of: ${SIDES.join(", ")}` };
+    }
+
+    // Protocol points unless the clinician gives them, stored as negative
+    const defaultPoints =
+      type === DEDUCTION_TYPES.UNSTEADINESS
+        ? unsteadinessPoints
+        : supportPoints;
+    changes.addDeductions.push({
+      type,
+      phase,
+      side,
+      points: -(points ?? defaultPoints),
+      timestamp: Number.isFinite(timestamp) ? timestamp : undefined,
+      frameIndex: Number.isInteger(frameIndex) ? frameIndex : undefined,
+    });
+  }
+
+  // Clinician-added deductions by id, automated ones by type/phase/frame
+  for (const target of removeDeductions) {
+    const added = target?.id
+      ? result.review?.addedDeductions?.find(
+          (deduction) => String(deduction._id) === String(target.id)
+        )
+      : undefined;
+    const automated = target?.id
+      ? undefined
+      : result.deductions.find(
+          (deduction) =>
+            matchesTarget(deduction, target || {}) &&
+            !isRemoved(result.review, deduction) &&
+            !changes.removeDeductions.some(
+              (change) => change.automated === deduction
+            )
+        );
+    if (!added && !automated) {
+      return {
+        error:
+          "Deduction to remove not found, pass the id of an added deduction or the type, phase, frameIndex and side of an automated one",
+      };
+    }
+    changes.removeDeductions.push(added ? { added } : { automated });
+  }
+
+  const modifiesScores =
+    changes.sitScore !== undefined ||
+    changes.riseScore !== undefined ||
+    changes.addDeductions.length > 0 ||
+    changes.removeDeductions.length > 0;
+  if (!modifiesScores && status === undefined) {
+    return { error: "Nothing to change" };
+  }
+  if (modifiesScores && !(typeof reason === "string" && reason.trim())) {
+    return { error: "A reason is required when changing scores" };
+  }
+
+  return { changes };
+};
+
+const deductionSummary = ({
+  type,
+  phase,
+  side,
+  points,
+  timestamp,
+  frameIndex,
+}) => ({
+  type,
+  phase,
+  side,
+  points,
+  timestamp,
+  frameIndex,
+});
+
+/**
+ * Apply validated review changes to a result and record each one in
+ * reviewHistory. The caller saves the result.
+ */
+export const applyReviewChanges = (result, changes, { reviewedBy }) => {
+  const changedAt = new Date();
+  const reason = changes.reason?.trim() || undefined;
+  if (!result.review) result.review = {};
+  const { review } = result;
+  const record = (entry) =>
+    result.reviewHistory.push({
+      ...entry,
+      reason,
+      changedBy: reviewedBy,
+      changedAt,
+    });
+
+  for (const field of ["sitScore", "riseScore"]) {
+    if (changes[field] === undefined) continue;
+    const to = changes[field] ?? undefined;
+    record({
+      action: to === undefined ? "override_cleared" : "score_overridden",
+      field,
+      from: review[field] ?? result[field],
+      to: to ?? null, // null when the automated score stands again
+    });
+    review[field] = to;
+  }
+
+  for (const deduction of changes.addDeductions) {
+    review.addedDeductions.push({ ...deduction, addedBy: reviewedBy });
+    record({
+      action: "deduction_added",
+      deduction: deductionSummary(deduction),
+    });
+  }
+
+  for (const { added, automated } of changes.removeDeductions) {
+    if (added) {
+      review.addedDeductions.pull(added._id);
+    } else {
+      review.removedDeductions.push({
+        ...deductionSummary(automated),
+        removedBy: reviewedBy,
+      });
+    }
+    record({
+      action: "deduction_removed",
+      deduction: deductionSummary(added || automated),
+    });
+  }
+
+  if (changes.status && changes.status !== (review.status || "unreviewed")) {
+    record({
+      action: changes.status === "reviewed" ? "reviewed" : "reopened",
+      field: "status",
+      from: review.status || "unreviewed",
+      to: changes.status,
+    });
+    review.status = changes.status;
+    review.reviewedBy = changes.status === "reviewed" ? reviewedBy : undefined;
+    review.reviewedAt = changes.status === "reviewed" ? changedAt : undefined;
+  }
+
+  return result;
+};
@@ -0,0 +1,59 @@
+// server/services/riskService.js
+import { findNormativeBand, scorePercentile } from "./normativeData.js";
+
+const RISK_THRESHOLDS = {
+  LOW: 8,
+  MODERATE: 6,
+  // Total scores of 0-3 carry the highest mortality risk (Araújo et al.)
+  SEVERE: 3,
+  HIGH_PERCENTILE: 10,
+  MODERATE_PERCENTILE: 25,
+};
+
+/**
+ * Risk level from the total SRT score (0-10)
+ */
+export const assessRiskLevel = (totalScore) => {
+  if (typeof totalScore !== "number" || isNaN(totalScore)) return null;
+  if (totalScore >= RISK_THRESHOLDS.LOW) return "low";
+  if (totalScore >= RISK_THRESHOLDS.MODERATE) return "moderate";
+  return "high";
+};
+
+/**
+ * Risk stratified against the age/sex reference band when demographics are
+ * known, otherwise the fixed cut-offs above
+ */
+export const stratifyRisk = (totalScore, { age, sex } = {}) => {
+  const band = findNormativeBand(age, sex);
+  if (!band || typeof totalScore !== "number" || isNaN(totalScore)) {
+    return {
+      riskLevel: assessRiskLevel(totalScore),
+      normative: { basis: "absolute" },
+    };
+  }
+
+  const percentile = scorePercentile(totalScore, band);
+  let riskLevel = "low";
+  if (
+    totalScore <= RISK_THRESHOLDS.SEVERE ||
+    percentile < RISK_THRESHOLDS.HIGH_PERCENTILE
+  ) {
+    riskLevel = "high";
+  } else if (
+    totalScore < RISK_THRESHOLDS.MODERATE ||
+    percentile < RISK_THRESHOLDS.MODERATE_PERCENTILE
+  ) {
+    riskLevel = "moderate";
+  }
+
+  return {
+    riskLevel,
+    normative: {
+      basis: "age-sex",
+      percentile,
+      ageBand: band.label,
+      sex,
+    },
+  };
+};
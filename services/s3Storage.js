@@ -0,0 +1,147 @@
+// server/services/s3Storage.js
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+const isNotFound = (error) =>
+  error.name === "NotFound" ||
+  error.name === "NoSuchKey" ||
+  error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage driver for S3 and S3-compatible services such as MinIO
+ */
+export const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+}) => {
+  if (!bucket) throw new Error("S3_BUCKET is not configured");
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Falls back to the default AWS credential chain when not set
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const putStream = (key, stream, { contentType, contentLength } = {}) =>
+    client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: stream,
+        ContentType: contentType,
+        ContentLength: contentLength,
+      })
+    );
+
+  const list = async (prefix) => {
+    const objects = [];
+    let ContinuationToken;
+    do {
+      const page = await client.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken,
+        })
+      );
+      (page.Contents || []).forEach((object) =>
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+        })
+      );
+      ContinuationToken = page.NextContinuationToken;
+    } while (ContinuationToken);
+    return objects;
+  };
+
+  const getStream = async (key, { start, end } = {}) => {
+    const range =
+      start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined;
+    const object = await client.send(
+      new GetObjectCommand({ Bucket: bucket, Key: key, Range: range })
+    );
+    return object.Body;
+  };
+
+  return {
+    name: "s3",
+    stat,
+    putStream,
+    putFile: async (key, filePath, { contentType } = {}) => {
+      const { size } = await fsp.stat(filePath);
+      await putStream(key, fs.createReadStream(filePath), {
+        contentType,
+        contentLength: size,
+      });
+    },
+    getStream,
+    remove: (key) =>
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    removePrefix: async (prefix) => {
+      const keys = (await list(prefix)).map((object) => ({ Key: object.key }));
+      // DeleteObjects takes at most 1000 keys per request
+      for (let i = 0; i < keys.length; i += 1000) {
+        await client.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: keys.slice(i, i + 1000) },
+          })
+        );
+      }
+    },
+    list,
+    // ffmpeg and the decoder need a file on disk
+    toLocalFile: async (key) => {
+      const localPath = path.join(
+        os.tmpdir(),
+        `srt-${crypto.randomUUID()}${path.extname(key)}`
+      );
+      try {
+        await pipeline(await getStream(key), fs.createWriteStream(localPath));
+      } catch (error) {
+        await fsp.rm(localPath, { force: true });
+        throw error;
+      }
+      return {
+        path: localPath,
+        cleanup: () => fsp.rm(localPath, { force: true }),
+      };
+    },
+  };
+};
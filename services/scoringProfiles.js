@@ -0,0 +1,168 @@
+// server/services/scoringProfiles.js
+import fs from "fs";
+
+const DEFAULT_PROFILES_PATH = "config/scoringProfiles.json";
+
+// Shape every profile must have besides id, version and description,
+// leaves are required numbers and unknown keys are rejected
+const PROFILE_SHAPE = {
+  keypointThreshold: "number",
+  scoring: {
+    maxPhaseScore: "number",
+    maxTotalScore: "number",
+    minPhaseScore: "number",
+    penaltyFactor: "number",
+    defaultHipDrive: "number",
+    minFramesPerPhase: "number",
+    supportPenalties: { hand: "number", knee: "number" },
+    sittingWeights: {
+      kneeFlexion: "number",
+      hipControl: "number",
+      spinalAlignment: "number",
+    },
+    risingWeights: {
+      kneeExtension: "number",
+      hipDrive: "number",
+      stability: "number",
+    },
+  },
+  feedback: { excellent: "number", good: "number", improvement: "number" },
+  clinical: {
+    maxPhaseScore: "number",
+    keypointThreshold: "number",
+    supportPoints: "number",
+    unsteadinessPoints: "number",
+    groundContact: "number",
+    seatedHipHeight: "number",
+    handOnKneeDistance: "number",
+    sideLean: "number",
+    swayVelocity: "number",
+    minSupportFrames: "number",
+    supportGapFrames: "number",
+  },
+  extraction: {
+    maxFrames: "number",
+    baseFps: "number",
+    maxFps: "number",
+    qualityScale: "number",
+  },
+  performance: { frameWarningMs: "number", totalWarningMs: "number" },
+};
+
+const PROFILE_META_KEYS = ["id", "version", "description"];
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Collect every mismatch between a value and a shape, as "path: problem"
+ */
+const shapeErrors = (value, shape, prefix, ignoredKeys = []) => {
+  if (!isObject(value)) return [`${prefix}: must be an object`];
+
+  const errors = Object.entries(shape).flatMap(([key, expected]) => {
+    const keyPath = `${prefix}.${key}`;
+    if (isObject(expected)) return shapeErrors(value[key], expected, keyPath);
+    return Number.isFinite(value[key]) && value[key] >= 0
+      ? []
+      : [`${keyPath}: must be a non-negative number`];
+  });
+
+  Object.keys(value)
+    .filter((key) => !(key in shape) && !ignoredKeys.includes(key))
+    .forEach((key) => errors.push(`${prefix}.${key}: unknown setting`));
+
+  return errors;
+};
+
+/**
+ * Validate a parsed profiles file, throws listing every problem found
+ */
+export const validateProfiles = (config) => {
+  if (!isObject(config) || !Array.isArray(config.profiles)) {
+    throw new Error("Scoring profiles must have a profiles array");
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  config.profiles.forEach((profile, index) => {
+    const label = `profiles[${index}]`;
+    if (typeof profile?.id !== "string" || !profile.id.trim()) {
+      errors.push(`${label}.id: must be a non-empty string`);
+    }
+    if (!Number.isInteger(profile?.version) || profile.version < 1) {
+      errors.push(`${label}.version: must be a positive integer`);
+    }
+
+    const key = `${profile?.id}@${profile?.version}`;
+    if (seen.has(key)) errors.push(`${label}: duplicate profile ${key}`);
+    seen.add(key);
+
+    errors.push(
+      ...shapeErrors(profile, PROFILE_SHAPE, label, PROFILE_META_KEYS)
+    );
+  });
+
+  if (
+    !config.profiles.some((profile) => profile?.id === config.defaultProfile)
+  ) {
+    errors.push(`defaultProfile: no profile named "${config.defaultProfile}"`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring profiles:\n  ${errors.join("\n  ")}`);
+  }
+  return config;
+};
+
+let loadedConfig;
+
+/**
+ * Read and validate the profiles file once, SCORING_PROFILES_PATH overrides
+ * the bundled config/scoringProfiles.json
+ */
+export const loadScoringProfiles = () => {
+  if (!loadedConfig) {
+    const filePath = process.env.SCORING_PROFILES_PATH || DEFAULT_PROFILES_PATH;
+    const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    loadedConfig = validateProfiles(config);
+  }
+  return loadedConfig;
+};
+
+/**
+ * Profile used when a request doesn't name one, configurable via SCORING_PROFILE
+ */
+export const getDefaultProfileId = () => {
+  const { defaultProfile, profiles } = loadScoringProfiles();
+  const fromEnv = process.env.SCORING_PROFILE;
+  return profiles.some((profile) => profile.id === fromEnv)
+    ? fromEnv
+    : defaultProfile;
+};
+
+/**
+ * A profile by id and version, the latest version when none is given.
+ * Returns null when no such profile exists.
+ */
+export const getScoringProfile = (id = getDefaultProfileId(), version) => {
+  const versions = loadScoringProfiles().profiles.filter(
+    (profile) => profile.id === id
+  );
+  if (version !== undefined) {
+    return versions.find((profile) => profile.version === version) || null;
+  }
+  return versions.reduce(
+    (latest, profile) =>
+      !latest || profile.version > latest.version ? profile : latest,
+    null
+  );
+};
+
+export const listScoringProfiles = () =>
+  loadScoringProfiles().profiles.map(({ id, version, description }) => ({
+    id,
+    version,
+    description,
+  }));
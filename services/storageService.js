@@ -0,0 +1,71 @@
+// server/services/storageService.js
+// Videos and analysis media live in a storage backend shared by every
+// instance, selected with STORAGE_DRIVER (local or s3)
+import path from "path";
+import { createLocalStorage } from "./localStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+
+const STORAGE_DRIVERS = {
+  local: () =>
+    createLocalStorage({ root: process.env.STORAGE_LOCAL_DIR || "storage" }),
+  s3: () =>
+    createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      // Set for MinIO and other S3-compatible services
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    }),
+};
+
+let storage;
+
+/**
+ * The configured storage driver:
+ * { name, stat, putFile, putStream, getStream, remove, removePrefix, list,
+ *   toLocalFile }
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (!STORAGE_DRIVERS[driver]) {
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${driver}". Supported: ${Object.keys(
+          STORAGE_DRIVERS
+        ).join(", ")}`
+      );
+    }
+    storage = STORAGE_DRIVERS[driver]();
+  }
+  return storage;
+};
+
+// Where each kind of object is kept
+export const storageKeys = {
+  video: (resultId, filename = "") =>
+    `videos/${resultId}${path.extname(filename).toLowerCase()}`,
+  resultMedia: (resultId) => `results/${resultId}/`,
+  keyFrame: (resultId, filename) =>
+    `results/${resultId}/key-frames/${filename}`,
+  annotatedVideo: (resultId) => `results/${resultId}/annotated.mp4`,
+  allUploadParts: "upload-parts/",
+  uploadParts: (sessionId) => `upload-parts/${sessionId}/`,
+  // Zero padded so parts sort in upload order, `id` keeps concurrent writes
+  // of the same offset apart
+  uploadPart: (sessionId, offset, id) =>
+    `upload-parts/${sessionId}/${String(offset).padStart(13, "0")}-${id}`,
+};
+
+/**
+ * Run `task` with a local copy of a stored object, removed afterwards
+ */
+export const withLocalFile = async (key, task) => {
+  const localFile = await getStorage().toLocalFile(key);
+  try {
+    return await task(localFile.path);
+  } finally {
+    await localFile.cleanup();
+  }
+};
@@ -0,0 +1,161 @@
+// server/services/subjectTracker.js
+// Follows one person through the per-frame detections so a caregiver or
+// bystander entering the frame doesn't replace the patient mid-video
+
+const TRACKING_CONFIG = {
+  KEYPOINT_THRESHOLD: 0.3,
+  MIN_IOU: 0.3, // Box overlap needed to keep following a detection
+  MAX_MISSED_FRAMES: 3, // Consecutive frames without a match before failing
+};
+
+/**
+ * Bounding box of a pose's confident keypoints, as fractions of the frame
+ */
+export const poseBox = (pose) => {
+  const points = pose.keypoints.filter(
+    (kp) => kp.score > TRACKING_CONFIG.KEYPOINT_THRESHOLD
+  );
+  if (points.length < 2 || !pose.imageSize) return null;
+
+  const { width, height } = pose.imageSize;
+  const xs = points.map((kp) => kp.x / width);
+  const ys = points.map((kp) => kp.y / height);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+/**
+ * Read a user-drawn subject box, { x, y, width, height } as fractions of the
+ * frame, from an object or JSON string. undefined when absent, null if invalid.
+ */
+export const parseSubjectBox = (value) => {
+  if (value === undefined || value === "") return undefined;
+
+  let box = value;
+  if (typeof value === "string") {
+    try {
+      box = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  const { x, y, width, height } = box || {};
+  const valid =
+    [x, y, width, height].every(Number.isFinite) &&
+    x >= 0 &&
+    y >= 0 &&
+    width > 0 &&
+    height > 0 &&
+    x + width <= 1 &&
+    y + height <= 1;
+  return valid ? { x, y, width, height } : null;
+};
+
+const intersectionOverUnion = (a, b) => {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+// Large and near the middle of the frame, 0 - 1
+const prominence = (box) => {
+  const offCenter = Math.hypot(
+    box.x + box.width / 2 - 0.5,
+    box.y + box.height / 2 - 0.5
+  );
+  return box.width * box.height * (1 - offCenter / Math.SQRT1_2);
+};
+
+const withBoxes = (poses) =>
+  poses
+    .map((pose) => ({ pose, box: poseBox(pose) }))
+    .filter((candidate) => candidate.box);
+
+/**
+ * The detection best overlapping `box`, or undefined below `minIou`
+ */
+const bestOverlap = (poses, box, minIou) => {
+  let best;
+  let bestIou = minIou;
+  withBoxes(poses).forEach((candidate) => {
+    const iou = intersectionOverUnion(candidate.box, box);
+    if (iou >= bestIou) {
+      best = candidate;
+      bestIou = iou;
+    }
+  });
+  return best;
+};
+
+/**
+ * Pick the subject among one frame's detections: the one overlapping
+ * `subjectBox` most, or else the largest and most central person
+ */
+export const selectSubject = (poses, subjectBox) => {
+  if (subjectBox) return bestOverlap(poses, subjectBox, Number.EPSILON)?.pose;
+
+  const candidates = withBoxes(poses);
+  if (candidates.length === 0) return undefined;
+  return candidates.reduce((best, candidate) =>
+    prominence(candidate.box) > prominence(best.box) ? candidate : best
+  ).pose;
+};
+
+/**
+ * Reduce per-frame detections to one pose per frame for the same person.
+ * Short gaps reuse the last matched pose, a longer gap fails the analysis.
+ * Returns { poses, framesHeld, maxPeople }
+ */
+export const trackSubject = (framePoses, { subjectBox } = {}) => {
+  const start = framePoses.findIndex((poses) =>
+    selectSubject(poses, subjectBox)
+  );
+  if (start === -1) {
+    throw new Error(
+      subjectBox
+        ? "No person found inside the selected subject box"
+        : "No person detected in the video"
+    );
+  }
+
+  const first = selectSubject(framePoses[start], subjectBox);
+  // Frames before the subject appears reuse their first pose
+  const poses = framePoses.map(() => first);
+  let last = first;
+  let missed = 0;
+  let framesHeld = start;
+
+  for (let index = start + 1; index < framePoses.length; index++) {
+    const match = bestOverlap(
+      framePoses[index],
+      poseBox(last),
+      TRACKING_CONFIG.MIN_IOU
+    );
+
+    if (match) {
+      last = match.pose;
+      missed = 0;
+    } else {
+      missed++;
+      framesHeld++;
+      if (missed > TRACKING_CONFIG.MAX_MISSED_FRAMES) {
+        throw new Error(
+          `Subject lost at frame ${index}, film with only the patient moving in view or select them with subjectBox`
+        );
+      }
+    }
+    poses[index] = last;
+  }
+
+  return {
+    poses,
+    framesHeld,
+    maxPeople: Math.max(...framePoses.map((detections) => detections.length)),
+  };
+};
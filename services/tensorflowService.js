@@ -1,28 +1,11 @@
 // server/services/tensorflowService.js
 import * as tf from "@tensorflow/tfjs-node";
-import * as poseDetection from "@tensorflow-models/pose-detection";
 import fs from "fs/promises";
 import { extractFramesFromVideo } from "./videoService.js";
-
-const KEYPOINT_CONFIDENCE_THRESHOLD = 0.3;
-const MAX_SCORE = 5;
-const SUPPORT_PENALTIES = {
-  HAND: 1,
-  KNEE: 0.5,
-};
-
-const SCORE_CONFIG = {
-  MIN_PHASE_SCORE: 1.5, // Increased from 1
-  PENALTY_FACTOR: 0.6, // Reduced from 0.8
-  DEFAULT_HIP_DRIVE: 0.3, // Default when calculation fails
-};
-
-const PERFORMANCE_CONFIG = {
-  FRAME_WARNING_THRESHOLD: 500, // ms per frame
-  TOTAL_WARNING_THRESHOLD: 10000, // 10 seconds total
-  MIN_FRAMES: 20,
-  MAX_FRAMES: 30,
-};
+import { calculateClinicalScores } from "./clinicalScoring.js";
+import { createPoseProvider } from "./poseProviders.js";
+import { getScoringProfile } from "./scoringProfiles.js";
+import { trackSubject } from "./subjectTracker.js";
 
 // Utility function for averaging
 const average = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
@@ -63,56 +46,94 @@ const calculateAngle = (p1, p2, p3) => {
   return Math.min(360, Math.max(0, angle)); // Ensure angle is between 0 and 360
 };
 
-// Initialize pose detector
-const initializeDetector = async () => {
-  const model = poseDetection.SupportedModels.MoveNet;
-  return await poseDetection.createDetector(model, {
-    modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING, // Use LIGHTNING instead of THUNDER
-    enableSmoothing: true,
-    multiPoseMaxDimension: 256, // Reduce resolution for faster processing
+// Side-specific joints used by the single-side analyzers
+const SIDES = ["left", "right"];
+const SIDE_JOINTS = ["shoulder", "hip", "knee", "ankle"];
+
+const findKeypoint = (pose, side, joint) =>
+  pose.keypoints.find((kp) => kp.name === `${side}_${joint}`);
+
+// Mean confidence of a side's joints, higher for the side facing the camera
+const sideConfidence = (pose, side) =>
+  average(
+    SIDE_JOINTS.map((joint) => findKeypoint(pose, side, joint)?.score || 0)
+  );
+
+const selectSide = (pose) =>
+  sideConfidence(pose, "left") > sideConfidence(pose, "right")
+    ? "left"
+    : "right";
+
+const isSideVisible = (pose, side, threshold) =>
+  SIDE_JOINTS.every(
+    (joint) => findKeypoint(pose, side, joint)?.score > threshold
+  );
+
+// Frame size the keypoints are measured in. Timelines stored before the
+// size was kept fall back to the extent of the keypoints.
+const poseFrameSize = (pose) => {
+  if (pose.imageSize?.width && pose.imageSize?.height) return pose.imageSize;
+
+  const xs = pose.keypoints.map((kp) => kp.x);
+  const ys = pose.keypoints.map((kp) => kp.y);
+  return {
+    width: Math.max(...xs) - Math.min(...xs) || 1,
+    height: Math.max(...ys) - Math.min(...ys) || 1,
+  };
+};
+
+// Support thresholds as fractions of the subject's shoulder-to-ankle length,
+// which unlike the frame or the visible extent does not shrink when seated
+const SUPPORT_THRESHOLDS = {
+  GROUND_CONTACT: 0.08, // Wrist or knee this close to the ground
+  SEATED_HIP_HEIGHT: 0.15, // Hips this low rest on the floor
+};
+
+// Shoulder, hip, knee and ankle segments summed on the longer fully visible
+// side, null when neither side is
+const bodyLength = (pose, threshold) => {
+  const lengths = SIDES.filter((side) =>
+    isSideVisible(pose, side, threshold)
+  ).map((side) => {
+    const [shoulder, hip, knee, ankle] = SIDE_JOINTS.map((joint) =>
+      findKeypoint(pose, side, joint)
+    );
+    return (
+      Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y) +
+      Math.hypot(hip.x - knee.x, hip.y - knee.y) +
+      Math.hypot(knee.x - ankle.x, knee.y - ankle.y)
+    );
   });
+  return lengths.length > 0 ? Math.max(...lengths) : null;
 };
 
-const detectSupportPoints = (pose) => {
+const detectSupportPoints = (pose, threshold) => {
   const supports = [];
+  const length = bodyLength(pose, threshold);
+  if (!length) return supports;
+
   const groundLevel = Math.max(
-    ...pose.keypoints
-      .filter((kp) => kp.score > KEYPOINT_CONFIDENCE_THRESHOLD)
-      .map((kp) => kp.y)
+    ...pose.keypoints.filter((kp) => kp.score > threshold).map((kp) => kp.y)
   );
+  const nearGround = (kp, fraction) =>
+    kp?.score > threshold && groundLevel - kp.y < length * fraction;
+  const onGround = (kp) => nearGround(kp, SUPPORT_THRESHOLDS.GROUND_CONTACT);
 
-  // Adjusted thresholds relative to ground level
-  const handSupportThreshold = groundLevel - pose.height * 0.3;
-  const kneeSupportThreshold = groundLevel - pose.height * 0.2;
-
-  // Check hand support with ground reference
-  const wrists = [
-    pose.keypoints.find((kp) => kp.name === "left_wrist"),
-    pose.keypoints.find((kp) => kp.name === "right_wrist"),
-  ];
-
-  if (
-    wrists.some(
-      (wrist) =>
-        wrist?.score > KEYPOINT_CONFIDENCE_THRESHOLD &&
-        wrist.y > handSupportThreshold
-    )
-  ) {
+  if (SIDES.some((side) => onGround(findKeypoint(pose, side, "wrist")))) {
     supports.push("HAND");
   }
 
-  // Check knee support with ground reference
-  const knees = [
-    pose.keypoints.find((kp) => kp.name === "left_knee"),
-    pose.keypoints.find((kp) => kp.name === "right_knee"),
-  ];
-
+  // Seated on the floor the knees rest low too, they only count as a
+  // support while the hips are off the ground
+  const hips = SIDES.map((side) => findKeypoint(pose, side, "hip")).filter(
+    (hip) => hip?.score > threshold
+  );
+  const seated = hips.every((hip) =>
+    nearGround(hip, SUPPORT_THRESHOLDS.SEATED_HIP_HEIGHT)
+  );
   if (
-    knees.some(
-      (knee) =>
-        knee?.score > KEYPOINT_CONFIDENCE_THRESHOLD &&
-        knee.y > kneeSupportThreshold
-    )
+    !seated &&
+    SIDES.some((side) => onGround(findKeypoint(pose, side, "knee")))
   ) {
     supports.push("KNEE");
   }
@@ -120,25 +141,21 @@ const detectSupportPoints = (pose) => {
   return supports;
 };
 
-const detectPhaseTransition = (poses) => {
+const detectPhaseTransition = (poses, threshold) => {
   let transitionFrame = Math.floor(poses.length / 2); // Default to middle
   let maxHipMovement = 0;
   let maxHipY = -Infinity;
   let lowestHipFrame = 0;
 
   for (let i = 1; i < poses.length - 1; i++) {
-    const prevHip = poses[i - 1].keypoints.find(
-      (kp) => kp.name === "right_hip"
-    );
-    const currentHip = poses[i].keypoints.find((kp) => kp.name === "right_hip");
-    const nextHip = poses[i + 1].keypoints.find(
-      (kp) => kp.name === "right_hip"
-    );
+    const prevHip = findKeypoint(poses[i - 1], selectSide(poses[i - 1]), "hip");
+    const currentHip = findKeypoint(poses[i], selectSide(poses[i]), "hip");
+    const nextHip = findKeypoint(poses[i + 1], selectSide(poses[i + 1]), "hip");
 
     if (
-      prevHip?.score > KEYPOINT_CONFIDENCE_THRESHOLD &&
-      currentHip?.score > KEYPOINT_CONFIDENCE_THRESHOLD &&
-      nextHip?.score > KEYPOINT_CONFIDENCE_THRESHOLD
+      prevHip?.score > threshold &&
+      currentHip?.score > threshold &&
+      nextHip?.score > threshold
     ) {
       // Track both movement and lowest position
       const movement = Math.abs(nextHip.y - prevHip.y);
@@ -160,18 +177,13 @@ const detectPhaseTransition = (poses) => {
     : transitionFrame; // Use maximum movement point
 };
 
-// Analyze single frame
-const analyzePoseInFrame = async (detector, imagePath) => {
+// Every person detected in a single frame
+const analyzePoseInFrame = async (poseProvider, imagePath) => {
   let tfImage;
   try {
     const imageBuffer = await fs.readFile(imagePath);
     tfImage = tf.node.decodeImage(imageBuffer);
-    const poses = await detector.estimatePoses(tfImage, {
-      maxPoses: 1,
-      flipHorizontal: false,
-      scoreThreshold: 0.3,
-    });
-    return poses[0];
+    return await poseProvider.estimatePoses(tfImage);
   } finally {
     if (tfImage) {
       tfImage.dispose();
@@ -181,10 +193,10 @@ const analyzePoseInFrame = async (detector, imagePath) => {
 };
 
 // Analyze spinal alignment
-const analyzeSpinalAlignment = (pose) => {
-  const shoulder = pose.keypoints.find((kp) => kp.name === "right_shoulder");
-  const hip = pose.keypoints.find((kp) => kp.name === "right_hip");
-  const knee = pose.keypoints.find((kp) => kp.name === "right_knee");
+const analyzeSpinalAlignment = (pose, side = selectSide(pose)) => {
+  const shoulder = findKeypoint(pose, side, "shoulder");
+  const hip = findKeypoint(pose, side, "hip");
+  const knee = findKeypoint(pose, side, "knee");
 
   if (shoulder && hip && knee) {
     const angle = calculateAngle(shoulder, hip, knee);
@@ -197,10 +209,10 @@ const analyzeSpinalAlignment = (pose) => {
 };
 
 // Analyze knee flexion
-const analyzeKneeFlexion = (pose) => {
-  const hip = pose.keypoints.find((kp) => kp.name === "right_hip");
-  const knee = pose.keypoints.find((kp) => kp.name === "right_knee");
-  const ankle = pose.keypoints.find((kp) => kp.name === "right_ankle");
+const analyzeKneeFlexion = (pose, side = selectSide(pose)) => {
+  const hip = findKeypoint(pose, side, "hip");
+  const knee = findKeypoint(pose, side, "knee");
+  const ankle = findKeypoint(pose, side, "ankle");
 
   if (hip && knee && ankle) {
     const angle = calculateAngle(hip, knee, ankle);
@@ -213,10 +225,10 @@ const analyzeKneeFlexion = (pose) => {
 };
 
 // Analyze knee extension
-const analyzeKneeExtension = (pose) => {
-  const hip = pose.keypoints.find((kp) => kp.name === "right_hip");
-  const knee = pose.keypoints.find((kp) => kp.name === "right_knee");
-  const ankle = pose.keypoints.find((kp) => kp.name === "right_ankle");
+const analyzeKneeExtension = (pose, side = selectSide(pose)) => {
+  const hip = findKeypoint(pose, side, "hip");
+  const knee = findKeypoint(pose, side, "knee");
+  const ankle = findKeypoint(pose, side, "ankle");
 
   if (hip && knee && ankle) {
     const angle = calculateAngle(hip, knee, ankle);
@@ -229,15 +241,16 @@ const analyzeKneeExtension = (pose) => {
 };
 
 // Analyze hip control
-const analyzeHipControl = (pose) => {
-  const shoulder = pose.keypoints.find((kp) => kp.name === "right_shoulder");
-  const hip = pose.keypoints.find((kp) => kp.name === "right_hip");
-  const knee = pose.keypoints.find((kp) => kp.name === "right_knee");
+const analyzeHipControl = (pose, profile, side = selectSide(pose)) => {
+  const threshold = profile.keypointThreshold;
+  const shoulder = findKeypoint(pose, side, "shoulder");
+  const hip = findKeypoint(pose, side, "hip");
+  const knee = findKeypoint(pose, side, "knee");
 
   if (
-    shoulder?.score > KEYPOINT_CONFIDENCE_THRESHOLD &&
-    hip?.score > KEYPOINT_CONFIDENCE_THRESHOLD &&
-    knee?.score > KEYPOINT_CONFIDENCE_THRESHOLD
+    shoulder?.score > threshold &&
+    hip?.score > threshold &&
+    knee?.score > threshold
   ) {
     const angle = calculateAngle(shoulder, hip, knee);
     // Normalize score between 0 and 1, prevent negative values
@@ -251,30 +264,31 @@ const analyzeHipControl = (pose) => {
 };
 
 // Analyze hip drive
-const analyzeHipDrive = (pose) => {
-  const shoulder = pose.keypoints.find((kp) => kp.name === "right_shoulder");
-  const hip = pose.keypoints.find((kp) => kp.name === "right_hip");
-  const knee = pose.keypoints.find((kp) => kp.name === "right_knee");
-  const ankle = pose.keypoints.find((kp) => kp.name === "right_ankle");
+const analyzeHipDrive = (pose, profile, side = selectSide(pose)) => {
+  const { defaultHipDrive } = profile.scoring;
+  const shoulder = findKeypoint(pose, side, "shoulder");
+  const hip = findKeypoint(pose, side, "hip");
+  const knee = findKeypoint(pose, side, "knee");
+  const ankle = findKeypoint(pose, side, "ankle");
 
   if (
     ![shoulder, hip, knee, ankle].every(
-      (point) => point?.score > KEYPOINT_CONFIDENCE_THRESHOLD
+      (point) => point?.score > profile.keypointThreshold
     )
   ) {
-    return { angle: 0, score: SCORE_CONFIG.DEFAULT_HIP_DRIVE };
+    return { angle: 0, score: defaultHipDrive };
   }
 
   // Calculate vertical progress (how high the hip is relative to its range)
   const totalHeight = shoulder.y - ankle.y;
-  if (totalHeight <= 0)
-    return { angle: 0, score: SCORE_CONFIG.DEFAULT_HIP_DRIVE };
+  if (totalHeight <= 0) return { angle: 0, score: defaultHipDrive };
 
   const hipProgress = Math.max(
     0,
     Math.min(1, (ankle.y - hip.y) / (ankle.y - shoulder.y))
   );
-  const verticalAlignment = Math.abs(hip.x - ankle.x) / pose.width;
+  const verticalAlignment =
+    Math.abs(hip.x - ankle.x) / poseFrameSize(pose).width;
 
   // Calculate trunk angle
   const trunkAngle = calculateAngle(shoulder, hip, knee);
@@ -285,7 +299,7 @@ const analyzeHipDrive = (pose) => {
     hipProgress * 0.5 + // Vertical movement is key
       angleScore * 0.3 + // Trunk angle is important
       (1 - verticalAlignment) * 0.2, // Alignment is supplementary
-    SCORE_CONFIG.DEFAULT_HIP_DRIVE
+    defaultHipDrive
   );
 
   return {
@@ -295,10 +309,10 @@ const analyzeHipDrive = (pose) => {
 };
 
 // Analyze stability
-const analyzeStability = (pose) => {
-  const ankle = pose.keypoints.find((kp) => kp.name === "right_ankle");
-  const hip = pose.keypoints.find((kp) => kp.name === "right_hip");
-  const shoulder = pose.keypoints.find((kp) => kp.name === "right_shoulder");
+const analyzeStability = (pose, side = selectSide(pose)) => {
+  const ankle = findKeypoint(pose, side, "ankle");
+  const hip = findKeypoint(pose, side, "hip");
+  const shoulder = findKeypoint(pose, side, "shoulder");
 
   if (ankle && hip && shoulder) {
     const verticalDeviation =
@@ -312,32 +326,79 @@ const analyzeStability = (pose) => {
 };
 
 // Analyze sitting phase
-const analyzeSittingPhase = (poses) => {
+const analyzeSittingPhase = (poses, profile) => {
   return poses.map((pose) => ({
     kneeFlexion: analyzeKneeFlexion(pose),
-    hipControl: analyzeHipControl(pose),
+    hipControl: analyzeHipControl(pose, profile),
     spinalAlignment: analyzeSpinalAlignment(pose),
   }));
 };
 
 // Analyze rising phase
-const analyzeRisingPhase = (poses) => {
+const analyzeRisingPhase = (poses, profile) => {
   return poses.map((pose) => ({
     kneeExtension: analyzeKneeExtension(pose),
-    hipDrive: analyzeHipDrive(pose),
+    hipDrive: analyzeHipDrive(pose, profile),
     stability: analyzeStability(pose),
   }));
 };
 
+// Left/right joint angle differences over frames where both sides are visible
+const calculateAsymmetry = (poses, threshold) => {
+  const sideFrames = { left: 0, right: 0 };
+  const kneeDifferences = [];
+  const hipDifferences = [];
+
+  poses.forEach((pose) => {
+    sideFrames[selectSide(pose)]++;
+    if (!SIDES.every((side) => isSideVisible(pose, side, threshold))) return;
+
+    const [leftKnee, rightKnee] = SIDES.map(
+      (side) => analyzeKneeFlexion(pose, side).angle
+    );
+    const [leftHip, rightHip] = SIDES.map(
+      (side) => analyzeSpinalAlignment(pose, side).angle
+    );
+
+    // calculateAngle returns 0 for degenerate points
+    if (leftKnee && rightKnee) {
+      kneeDifferences.push(Math.abs(leftKnee - rightKnee));
+    }
+    if (leftHip && rightHip) {
+      hipDifferences.push(Math.abs(leftHip - rightHip));
+    }
+  });
+
+  const framesCompared = Math.max(
+    kneeDifferences.length,
+    hipDifferences.length
+  );
+  const meanDifference = (differences) =>
+    differences.length > 0 ? Number(average(differences).toFixed(2)) : null;
+  const allDifferences = [...kneeDifferences, ...hipDifferences];
+
+  return {
+    primarySide: sideFrames.left > sideFrames.right ? "left" : "right",
+    framesCompared,
+    kneeAngleDifference: meanDifference(kneeDifferences),
+    hipAngleDifference: meanDifference(hipDifferences),
+    // 0 is perfectly symmetric, 1 is a 180 degree mean difference
+    index:
+      allDifferences.length > 0
+        ? Number((average(allDifferences) / 180).toFixed(3))
+        : null,
+  };
+};
+
 // Calculate component scores
-const calculateComponentScores = (sittingPhase, risingPhase) => {
+const calculateComponentScores = (sittingPhase, risingPhase, scoring) => {
   const safeAverage = (scores, minRequired = 3) => {
     const validScores = scores.filter(
       (score) => !isNaN(score) && score !== null
     );
     return validScores.length >= minRequired
       ? average(validScores)
-      : SCORE_CONFIG.DEFAULT_HIP_DRIVE;
+      : scoring.defaultHipDrive;
   };
 
   // Enhanced postural control calculation
@@ -381,169 +442,298 @@ const calculateComponentScores = (sittingPhase, risingPhase) => {
   };
 };
 
-const calculatePhaseScores = (sittingPhase, risingPhase, supportPenalty) => {
+const calculatePhaseScores = (
+  sittingPhase,
+  risingPhase,
+  supportPenalty,
+  scoring
+) => {
+  const { sittingWeights, risingWeights, minPhaseScore, maxPhaseScore } =
+    scoring;
+
   // Raw scores with higher minimums
   const rawSitScore = Math.max(
-    SCORE_CONFIG.MIN_PHASE_SCORE, // Use 1.5 minimum
-    (sittingPhase.kneeFlexion * 0.35 +
-      sittingPhase.hipControl * 0.35 +
-      sittingPhase.spinalAlignment * 0.3) *
-      MAX_SCORE
+    minPhaseScore,
+    (sittingPhase.kneeFlexion * sittingWeights.kneeFlexion +
+      sittingPhase.hipControl * sittingWeights.hipControl +
+      sittingPhase.spinalAlignment * sittingWeights.spinalAlignment) *
+      maxPhaseScore
   );
 
   const rawRiseScore = Math.max(
-    SCORE_CONFIG.MIN_PHASE_SCORE, // Use 1.5 minimum
-    (risingPhase.kneeExtension * 0.3 +
-      risingPhase.hipDrive * 0.4 +
-      risingPhase.stability * 0.3) *
-      MAX_SCORE
+    minPhaseScore,
+    (risingPhase.kneeExtension * risingWeights.kneeExtension +
+      risingPhase.hipDrive * risingWeights.hipDrive +
+      risingPhase.stability * risingWeights.stability) *
+      maxPhaseScore
   );
 
-  // Apply reduced penalties
+  // Apply support penalties
   const sitScore = Math.max(
-    SCORE_CONFIG.MIN_PHASE_SCORE,
+    minPhaseScore,
     Math.min(
-      MAX_SCORE,
-      rawSitScore - supportPenalty.sitting * SCORE_CONFIG.PENALTY_FACTOR
+      maxPhaseScore,
+      rawSitScore - supportPenalty.sitting * scoring.penaltyFactor
     )
   );
 
   const riseScore = Math.max(
-    SCORE_CONFIG.MIN_PHASE_SCORE,
+    minPhaseScore,
     Math.min(
-      MAX_SCORE,
-      rawRiseScore - supportPenalty.rising * SCORE_CONFIG.PENALTY_FACTOR
+      maxPhaseScore,
+      rawRiseScore - supportPenalty.rising * scoring.penaltyFactor
     )
   );
 
   return {
     sitScore: Number(sitScore.toFixed(2)),
     riseScore: Number(riseScore.toFixed(2)),
-    totalScore: Number(Math.min(10, sitScore + riseScore).toFixed(2)),
+    totalScore: Number(
+      Math.min(scoring.maxTotalScore, sitScore + riseScore).toFixed(2)
+    ),
   };
 };
 
-// Main analysis function
-export const analyzeSRTVideo = async (videoPath) => {
-  const startTime = performance.now();
-  let frameProcessingTimes = [];
+/**
+ * Phase segmentation, support detection, scoring and feedback for a sequence
+ * of poses. Shared by video analysis and re-scoring of stored keypoints.
+ */
+export const scorePoses = (
+  poseAnalyses,
+  {
+    framePaths = [],
+    timestamps = [],
+    scoringMode = "quality",
+    profile = getScoringProfile(),
+  } = {}
+) => {
+  const { keypointThreshold: threshold, scoring } = profile;
+
+  // Validate minimum frames requirement
+  const { minFramesPerPhase } = scoring;
+  if (poseAnalyses.length < minFramesPerPhase * 2) {
+    throw new Error(
+      "Insufficient frames for analysis. Minimum required: " +
+        minFramesPerPhase * 2
+    );
+  }
 
-  try {
-    const frames = await extractFramesFromVideo(videoPath);
-    const detector = await initializeDetector();
+  // Detect transition point between sitting and rising phases
+  const transitionFrame = detectPhaseTransition(poseAnalyses, threshold);
 
-    // Track frame processing time
-    const poseAnalyses = await Promise.all(
-      frames.map(async (frame) => {
-        const frameStart = performance.now();
-        const result = await analyzePoseInFrame(detector, frame);
-        frameProcessingTimes.push(performance.now() - frameStart);
-        return result;
-      })
-    );
+  // Analyze phases with proper frame selection
+  const sittingPhase = analyzeSittingPhase(
+    poseAnalyses.slice(0, Math.max(minFramesPerPhase, transitionFrame)),
+    profile
+  );
+  const risingPhase = analyzeRisingPhase(
+    poseAnalyses.slice(
+      Math.min(poseAnalyses.length - minFramesPerPhase, transitionFrame)
+    ),
+    profile
+  );
 
-    // Validate minimum frames requirement
-    const minFramesPerPhase = 10;
-    if (poseAnalyses.length < minFramesPerPhase * 2) {
-      throw new Error(
-        "Insufficient frames for analysis. Minimum required: " +
-          minFramesPerPhase * 2
-      );
-    }
+  // Detect support points and calculate penalties
+  const supportPoints = poseAnalyses.map((pose) =>
+    detectSupportPoints(pose, threshold)
+  );
+  const supportPenalty = calculateSupportPenalty(
+    supportPoints,
+    scoring.supportPenalties
+  );
 
-    // Detect transition point between sitting and rising phases
-    const transitionFrame = detectPhaseTransition(poseAnalyses);
+  // Per-frame keypoints, supports and joint angles for media rendering
+  const frameTimeline = poseAnalyses.map((pose, index) => ({
+    index,
+    framePath: framePaths[index],
+    timestamp: timestamps[index],
+    keypoints: pose?.keypoints || [],
+    side: pose ? selectSide(pose) : null,
+    supports: supportPoints[index],
+    angles: {
+      knee: pose ? analyzeKneeFlexion(pose).angle : 0,
+      hip: pose ? analyzeSpinalAlignment(pose).angle : 0,
+    },
+  }));
 
-    // Analyze phases with proper frame selection
-    const sittingPhase = analyzeSittingPhase(
-      poseAnalyses.slice(0, Math.max(minFramesPerPhase, transitionFrame))
-    );
-    const risingPhase = analyzeRisingPhase(
-      poseAnalyses.slice(
-        Math.min(poseAnalyses.length - minFramesPerPhase, transitionFrame)
-      )
-    );
+  // Calculate component scores with safety checks
+  const componentScores = calculateComponentScores(
+    sittingPhase,
+    risingPhase,
+    scoring
+  );
+  const asymmetry = calculateAsymmetry(poseAnalyses, threshold);
 
-    // Detect support points and calculate penalties
-    const supportPoints = poseAnalyses.map(detectSupportPoints);
-    const supportPenalty = calculateSupportPenalty(supportPoints);
-
-    // Calculate component scores with safety checks
-    const componentScores = calculateComponentScores(sittingPhase, risingPhase);
-
-    // Calculate normalized sitting phase scores
-    const sittingScores = {
-      kneeFlexion: safeScore(
-        average(sittingPhase.map((p) => p.kneeFlexion.score))
-      ),
-      hipControl: safeScore(
-        average(sittingPhase.map((p) => p.hipControl.score))
-      ),
-      spinalAlignment: safeScore(
-        average(sittingPhase.map((p) => p.spinalAlignment.score))
-      ),
-    };
+  // Calculate normalized sitting phase scores
+  const sittingScores = {
+    kneeFlexion: safeScore(
+      average(sittingPhase.map((p) => p.kneeFlexion.score))
+    ),
+    hipControl: safeScore(average(sittingPhase.map((p) => p.hipControl.score))),
+    spinalAlignment: safeScore(
+      average(sittingPhase.map((p) => p.spinalAlignment.score))
+    ),
+  };
 
-    // Calculate normalized rising phase scores
-    const risingScores = {
-      kneeExtension: safeScore(
-        average(risingPhase.map((p) => p.kneeExtension.score))
-      ),
-      hipDrive: safeScore(average(risingPhase.map((p) => p.hipDrive.score))),
-      stability: safeScore(average(risingPhase.map((p) => p.stability.score))),
-    };
+  // Calculate normalized rising phase scores
+  const risingScores = {
+    kneeExtension: safeScore(
+      average(risingPhase.map((p) => p.kneeExtension.score))
+    ),
+    hipDrive: safeScore(average(risingPhase.map((p) => p.hipDrive.score))),
+    stability: safeScore(average(risingPhase.map((p) => p.stability.score))),
+  };
 
-    // Calculate raw phase scores with weighted components
-    const rawSitScore = safeScore(
-      (sittingScores.kneeFlexion * 0.35 +
-        sittingScores.hipControl * 0.35 +
-        sittingScores.spinalAlignment * 0.3) *
-        MAX_SCORE,
-      1
-    );
+  const { deductions = [], ...scores } =
+    scoringMode === "clinical"
+      ? calculateClinicalScores(
+          frameTimeline,
+          transitionFrame,
+          profile.clinical
+        )
+      : calculatePhaseScores(
+          sittingScores,
+          risingScores,
+          supportPenalty,
+          scoring
+        );
+
+  // Generate detailed feedback
+  const feedback = generateDetailedFeedback(
+    sittingScores,
+    risingScores,
+    componentScores,
+    supportPoints,
+    profile.feedback
+  );
 
-    const rawRiseScore = safeScore(
-      (risingScores.kneeExtension * 0.3 +
-        risingScores.hipDrive * 0.4 +
-        risingScores.stability * 0.3) *
-        MAX_SCORE,
-      1
-    );
+  return {
+    ...scores, // This will include sitScore, riseScore, and totalScore
+    ...componentScores,
+    scoringMode,
+    scoringProfile: { id: profile.id, version: profile.version },
+    deductions,
+    asymmetry,
+    sittingPhase: sittingScores,
+    risingPhase: risingScores,
+    feedback,
+    supportPointsUsed: supportPoints,
+    frameTimeline,
+    transitionFrame,
+    imageSize: poseAnalyses.find((pose) => pose?.imageSize)?.imageSize,
+  };
+};
 
-    // Apply penalties and ensure minimum scores
-    const sitScore = Math.max(
-      1,
-      Math.min(MAX_SCORE, rawSitScore - supportPenalty.sitting * 0.8)
-    );
+// Overall progress percentage reached at the end of each stage
+const PROGRESS_STAGES = {
+  extraction: 20,
+  inference: 85,
+  phase: 90,
+  scoring: 100,
+};
 
-    const riseScore = Math.max(
-      1,
-      Math.min(MAX_SCORE, rawRiseScore - supportPenalty.rising * 0.8)
-    );
+// "quality" scores joint-angle quality, "clinical" follows the SRT protocol
+export const SCORING_MODES = ["quality", "clinical"];
 
-    // Calculate total score with bounds checking
-    const totalScore = Math.max(2, Math.min(10, sitScore + riseScore));
+// Main analysis function
+export const analyzeSRTVideo = async (
+  videoPath,
+  {
+    onProgress,
+    scoringMode = "quality",
+    poseModel,
+    subjectBox,
+    profile = getScoringProfile(),
+  } = {}
+) => {
+  const startTime = performance.now();
+  let frameProcessingTimes = [];
+  let poseProvider;
+
+  const report = (stage, details = {}) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ stage, ...details });
+    } catch (error) {
+      console.warn("Progress listener error:", error);
+    }
+  };
 
-    const scores = calculatePhaseScores(
-      sittingScores,
-      risingScores,
-      supportPenalty
+  try {
+    report("extraction", { status: "started", percent: 0 });
+    const extractionStart = performance.now();
+    const { framePaths: frames, timestamps } = await extractFramesFromVideo(
+      videoPath,
+      {
+        extraction: profile.extraction,
+        onProgress: (percent) =>
+          report("extraction", {
+            status: "running",
+            percent: Math.round((percent / 100) * PROGRESS_STAGES.extraction),
+          }),
+      }
     );
+    report("extraction", {
+      status: "finished",
+      percent: PROGRESS_STAGES.extraction,
+      frameCount: frames.length,
+      time: `${(performance.now() - extractionStart).toFixed(2)}ms`,
+    });
+
+    poseProvider = await createPoseProvider(poseModel);
+
+    // Track frame processing time
+    let framesDone = 0;
+    const inferenceRange =
+      PROGRESS_STAGES.inference - PROGRESS_STAGES.extraction;
+    const framePoses = await Promise.all(
+      frames.map(async (frame) => {
+        const frameStart = performance.now();
+        const result = await analyzePoseInFrame(poseProvider, frame);
+        frameProcessingTimes.push(performance.now() - frameStart);
 
-    // Generate detailed feedback
-    const feedback = generateDetailedFeedback(
-      sittingScores,
-      risingScores,
-      componentScores,
-      supportPoints
+        framesDone++;
+        report("inference", {
+          status: framesDone === frames.length ? "finished" : "running",
+          percent: Math.round(
+            PROGRESS_STAGES.extraction +
+              (framesDone / frames.length) * inferenceRange
+          ),
+          framesProcessed: framesDone,
+          frameCount: frames.length,
+          averageFrameTime: `${average(frameProcessingTimes).toFixed(2)}ms`,
+        });
+        return result;
+      })
     );
 
+    // Follow the patient when several people are in view
+    const { poses: poseAnalyses, ...tracking } = trackSubject(framePoses, {
+      subjectBox,
+    });
+
+    const scoring = scorePoses(poseAnalyses, {
+      framePaths: frames,
+      timestamps,
+      scoringMode,
+      profile,
+    });
+    const { transitionFrame } = scoring;
+    report("phase", {
+      status: "finished",
+      percent: PROGRESS_STAGES.phase,
+      transitionFrame,
+    });
+
     // Calculate performance metrics
     const totalTime = performance.now() - startTime;
     const avgFrameTime = average(frameProcessingTimes);
 
     // Log performance warnings if needed
-    if (avgFrameTime > 500 || totalTime > 30000) {
+    if (
+      avgFrameTime > profile.performance.frameWarningMs ||
+      totalTime > profile.performance.totalWarningMs
+    ) {
       console.warn("Performance Warning:", {
         averageFrameTime: `${avgFrameTime.toFixed(2)}ms`,
         totalAnalysisTime: `${totalTime.toFixed(2)}ms`,
@@ -551,30 +741,40 @@ export const analyzeSRTVideo = async (videoPath) => {
       });
     }
 
+    const performanceStats = {
+      totalTime: `${totalTime.toFixed(2)}ms`,
+      averageFrameTime: `${avgFrameTime.toFixed(2)}ms`,
+      frameCount: frames.length,
+      transitionFrame,
+    };
+
+    report("scoring", {
+      status: "finished",
+      percent: PROGRESS_STAGES.scoring,
+      sitScore: scoring.sitScore,
+      riseScore: scoring.riseScore,
+      totalScore: scoring.totalScore,
+      performance: performanceStats,
+    });
+
     // Return comprehensive analysis results
     return {
-      ...scores, // This will include sitScore, riseScore, and totalScore
-      ...componentScores,
-      sittingPhase: sittingScores,
-      risingPhase: risingScores,
-      feedback,
+      ...scoring,
+      poseModel: { name: poseProvider.name, version: poseProvider.version },
       keyFrames: frames,
       processingStatus: "completed",
-      supportPointsUsed: supportPoints,
-      performance: {
-        totalTime: `${totalTime.toFixed(2)}ms`,
-        averageFrameTime: `${avgFrameTime.toFixed(2)}ms`,
-        frameCount: frames.length,
-        transitionFrame,
-      },
+      performance: performanceStats,
+      tracking,
     };
   } catch (error) {
     console.error("Error in SRT analysis:", error);
-    throw new Error("Failed to analyze video");
+    throw new Error(`Failed to analyze video: ${error.message}`);
+  } finally {
+    poseProvider?.dispose();
   }
 };
 
-const calculateSupportPenalty = (supportPoints) => {
+const calculateSupportPenalty = (supportPoints, penalties) => {
   const sittingSupports = supportPoints.slice(0, supportPoints.length / 2);
   const risingSupports = supportPoints.slice(supportPoints.length / 2);
 
@@ -582,8 +782,8 @@ const calculateSupportPenalty = (supportPoints) => {
     let penalty = 0;
     const uniqueSupports = new Set(phaseSupports.flat());
 
-    if (uniqueSupports.has("HAND")) penalty += SUPPORT_PENALTIES.HAND;
-    if (uniqueSupports.has("KNEE")) penalty += SUPPORT_PENALTIES.KNEE;
+    if (uniqueSupports.has("HAND")) penalty += penalties.hand;
+    if (uniqueSupports.has("KNEE")) penalty += penalties.knee;
 
     return penalty;
   };
@@ -599,7 +799,8 @@ const generateDetailedFeedback = (
   sittingScores,
   risingScores,
   componentScores,
-  supportPoints
+  supportPoints,
+  thresholds
 ) => {
   const feedback = {
     strengths: [],
@@ -607,10 +808,12 @@ const generateDetailedFeedback = (
     recommendations: [],
   };
 
-  // More nuanced feedback thresholds
-  const EXCELLENT_THRESHOLD = 0.8;
-  const GOOD_THRESHOLD = 0.6;
-  const IMPROVEMENT_THRESHOLD = 0.4;
+  // Feedback thresholds from the scoring profile
+  const {
+    excellent: EXCELLENT_THRESHOLD,
+    good: GOOD_THRESHOLD,
+    improvement: IMPROVEMENT_THRESHOLD,
+  } = thresholds;
 
   // Sitting phase feedback
   if (sittingScores.kneeFlexion > EXCELLENT_THRESHOLD) {
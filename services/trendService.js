@@ -0,0 +1,113 @@
+// server/services/trendService.js
+
+const TREND_CONFIG = {
+  // A 1-point fall in total SRT score is clinically meaningful (Araújo et al.)
+  MEANINGFUL_DROP: 1,
+  MIN_SESSIONS_FOR_SLOPE: 2,
+  DAYS_PER_MONTH: 30,
+};
+
+const TREND_METRICS = [
+  "totalScore",
+  "sitScore",
+  "riseScore",
+  "posturalControl",
+  "balance",
+  "coordination",
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 3) =>
+  value === null ? null : Number(value.toFixed(digits));
+
+/**
+ * Least-squares slope of `values` against `days`
+ */
+const linearSlope = (days, values) => {
+  const n = days.length;
+  const meanX = days.reduce((a, b) => a + b, 0) / n;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < n; i++) {
+    numerator += (days[i] - meanX) * (values[i] - meanY);
+    denominator += Math.pow(days[i] - meanX, 2);
+  }
+
+  // All sessions on the same day, no meaningful slope
+  return denominator === 0 ? null : numerator / denominator;
+};
+
+const metricTrend = (sessions, metric) => {
+  const points = sessions.filter((s) => typeof s[metric] === "number");
+  if (points.length === 0) {
+    return {
+      baseline: null,
+      latest: null,
+      changeSinceBaseline: null,
+      slopePerMonth: null,
+    };
+  }
+
+  const baseline = points[0][metric];
+  const latest = points[points.length - 1][metric];
+  const start = new Date(points[0].timestamp).getTime();
+
+  const slopePerDay =
+    points.length >= TREND_CONFIG.MIN_SESSIONS_FOR_SLOPE
+      ? linearSlope(
+          points.map(
+            (p) => (new Date(p.timestamp).getTime() - start) / MS_PER_DAY
+          ),
+          points.map((p) => p[metric])
+        )
+      : null;
+
+  return {
+    baseline,
+    latest,
+    changeSinceBaseline: round(latest - baseline),
+    slopePerMonth:
+      slopePerDay === null
+        ? null
+        : round(slopePerDay * TREND_CONFIG.DAYS_PER_MONTH),
+  };
+};
+
+/**
+ * Flag consecutive sessions where the total score dropped meaningfully
+ */
+const detectDrops = (sessions) => {
+  const flags = [];
+  for (let i = 1; i < sessions.length; i++) {
+    const previous = sessions[i - 1];
+    const current = sessions[i];
+    const drop = previous.totalScore - current.totalScore;
+
+    if (drop >= TREND_CONFIG.MEANINGFUL_DROP) {
+      flags.push({
+        type: "SIGNIFICANT_DROP",
+        fromReportId: previous.reportId,
+        toReportId: current.reportId,
+        fromTimestamp: previous.timestamp,
+        toTimestamp: current.timestamp,
+        drop: round(drop, 2),
+      });
+    }
+  }
+  return flags;
+};
+
+/**
+ * Trend statistics for sessions sorted oldest first
+ */
+export const computeTrends = (sessions) => ({
+  sessionCount: sessions.length,
+  meaningfulDropThreshold: TREND_CONFIG.MEANINGFUL_DROP,
+  metrics: Object.fromEntries(
+    TREND_METRICS.map((metric) => [metric, metricTrend(sessions, metric)])
+  ),
+  flags: detectDrops(sessions),
+});
@@ -0,0 +1,140 @@
+// server/services/uploadService.js
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import os from "os";
+import path from "path";
+import { Transform } from "stream";
+import { finished, pipeline } from "stream/promises";
+import { getStorage, storageKeys } from "./storageService.js";
+
+export const ALLOWED_VIDEO_TYPES = [
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+];
+
+const UPLOAD_CONFIG = {
+  DIRECT_MAX_BYTES: 50 * 1024 * 1024, // Single request multipart uploads
+  RESUMABLE_MAX_BYTES: 500 * 1024 * 1024,
+  SESSION_TTL_MS: 24 * 60 * 60 * 1000, // Extended on every chunk
+};
+
+export const getDirectMaxBytes = () => UPLOAD_CONFIG.DIRECT_MAX_BYTES;
+
+export const getResumableMaxBytes = () =>
+  Number(process.env.RESUMABLE_UPLOAD_MAX_BYTES) ||
+  UPLOAD_CONFIG.RESUMABLE_MAX_BYTES;
+
+export const sessionExpiry = () =>
+  new Date(Date.now() + UPLOAD_CONFIG.SESSION_TTL_MS);
+
+const limitBytes = (maxBytes) => {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        const error = new Error("Chunk exceeds the declared upload size");
+        error.code = "CHUNK_TOO_LARGE";
+        return callback(error);
+      }
+      callback(null, chunk);
+    },
+  });
+};
+
+const tempPath = (extension = "") =>
+  path.join(os.tmpdir(), `srt-upload-${crypto.randomUUID()}${extension}`);
+
+/**
+ * Store a request body as the part starting at `offset`, at most `maxBytes`.
+ * Resolves with the stored part, or null if nothing arrived, plus the error
+ * if the stream broke off; whatever was received counts so the client can
+ * resume from there.
+ */
+export const storeChunk = async (sessionId, offset, source, maxBytes) => {
+  const chunkPath = tempPath();
+  let error;
+  try {
+    await pipeline(
+      source,
+      limitBytes(maxBytes),
+      fs.createWriteStream(chunkPath)
+    );
+  } catch (streamError) {
+    error = streamError;
+  }
+
+  try {
+    const { size } = await fsp.stat(chunkPath).catch(() => ({ size: 0 }));
+    if (size === 0) return { part: null, error };
+
+    const key = storageKeys.uploadPart(sessionId, offset, crypto.randomUUID());
+    await getStorage().putFile(key, chunkPath);
+    return { part: { key, size }, error };
+  } finally {
+    await fsp.rm(chunkPath, { force: true });
+  }
+};
+
+/**
+ * SHA-256 of a file, hex encoded
+ */
+export const hashFile = async (filePath) => {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+};
+
+/**
+ * Join the stored parts into one local file, hashing as it is written.
+ * Resolves with { path, digest }, the SHA-256 hex digest.
+ */
+export const assembleParts = async (parts, filename = "") => {
+  const storage = getStorage();
+  const videoPath = tempPath(path.extname(filename));
+  const hash = crypto.createHash("sha256");
+  const output = fs.createWriteStream(videoPath);
+
+  try {
+    for (const part of parts) {
+      await pipeline(
+        await storage.getStream(part.key),
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          },
+        }),
+        output,
+        { end: false }
+      );
+    }
+    output.end();
+    await finished(output);
+  } catch (error) {
+    output.destroy();
+    await fsp.rm(videoPath, { force: true });
+    throw error;
+  }
+
+  return { path: videoPath, digest: hash.digest("hex") };
+};
+
+export const removePart = (part) => getStorage().remove(part.key);
+
+export const removeParts = (sessionId) =>
+  getStorage().removePrefix(storageKeys.uploadParts(sessionId));
+
+/**
+ * Mark a session completed once its analysis was accepted and drop the
+ * stored chunks. Until then a rejected upload can be completed again.
+ */
+export const finishUploadSession = async (session, resultId) => {
+  session.status = "completed";
+  session.result = resultId;
+  session.parts = [];
+  await session.save();
+  await removeParts(session._id);
+};
@@ -2,19 +2,18 @@ import ffmpeg from "fluent-ffmpeg";
 import { promisify } from "util";
 import fs from "fs/promises";
 import path from "path";
-
-// Configuration constants
-const CONFIG = {
-  MIN_FRAMES: 20, // Minimum frames needed for analysis
-  MAX_FRAMES: 40, // Maximum frames to process
-  BASE_FPS: 5, // Base frame rate for extraction
-  QUALITY_SCALE: 2, // Scale down factor for better performance
-};
+import { getScoringProfile } from "./scoringProfiles.js";
 
 /**
  * Extract frames from video with adaptive frame rate
+ * Resolves with the frame paths and each frame's timestamp in seconds
+ * `onProgress` receives the ffmpeg completion percentage, `extraction` is
+ * the scoring profile's frame budget (maxFrames, baseFps, maxFps, qualityScale)
  */
-export const extractFramesFromVideo = async (videoPath) => {
+export const extractFramesFromVideo = async (
+  videoPath,
+  { onProgress, extraction = getScoringProfile().extraction } = {}
+) => {
   const framesDir = path.join("uploads", `frames-${Date.now()}`);
   await fs.mkdir(framesDir, { recursive: true });
 
@@ -22,7 +21,7 @@ export const extractFramesFromVideo = async (videoPath) => {
   const duration = await getVideoDuration(videoPath);
 
   // Calculate optimal FPS based on video duration
-  const optimalFps = calculateOptimalFps(duration);
+  const optimalFps = calculateOptimalFps(duration, extraction);
 
   return new Promise((resolve, reject) => {
     ffmpeg(videoPath)
@@ -30,7 +29,7 @@ export const extractFramesFromVideo = async (videoPath) => {
       // Add filters for better performance
       .videoFilters([
         // Scale down video for faster processing
-        `scale=iw/${CONFIG.QUALITY_SCALE}:-1`,
+        `scale=iw/${extraction.qualityScale}:-1`,
         // Normalize brightness and contrast
         "normalize",
         // Remove noise
@@ -43,6 +42,11 @@ export const extractFramesFromVideo = async (videoPath) => {
         "-pix_fmt",
         "yuv420p", // Compatible pixel format
       ])
+      .on("progress", (progress) => {
+        if (onProgress && !isNaN(progress.percent)) {
+          onProgress(Math.min(100, progress.percent));
+        }
+      })
       .on("end", async () => {
         try {
           const files = await fs.readdir(framesDir);
@@ -57,8 +61,17 @@ export const extractFramesFromVideo = async (videoPath) => {
             .map((file) => path.join(framesDir, file));
 
           // Sample frames if we have too many
-          const finalFrames = sampleFrames(framePaths);
-          resolve(finalFrames);
+          const finalFrames = sampleFrames(framePaths, extraction.maxFrames);
+
+          // frame-N.jpg was captured at (N - 1) / fps seconds
+          const timestamps = finalFrames.map((framePath) => {
+            const frameNumber = parseInt(
+              path.basename(framePath).match(/\d+/)[0]
+            );
+            return Number(((frameNumber - 1) / optimalFps).toFixed(3));
+          });
+
+          resolve({ framePaths: finalFrames, timestamps });
         } catch (error) {
           reject(error);
         }
@@ -71,23 +84,50 @@ export const extractFramesFromVideo = async (videoPath) => {
 /**
  * Calculate optimal FPS based on video duration
  */
-const calculateOptimalFps = (duration) => {
+const calculateOptimalFps = (duration, extraction) => {
   // Aim for optimal number of frames
-  const targetFrames = CONFIG.MAX_FRAMES;
+  const targetFrames = extraction.maxFrames;
   const calculatedFps = targetFrames / duration;
 
   // Keep FPS within reasonable bounds
-  return Math.max(CONFIG.BASE_FPS, Math.min(calculatedFps, 10));
+  return Math.max(
+    extraction.baseFps,
+    Math.min(calculatedFps, extraction.maxFps)
+  );
+};
+
+// ffprobe reports missing values as "N/A"
+const positiveNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// "30000/1001" style frame rates
+const parseFrameRate = (rate = "") => {
+  const [numerator, denominator = 1] = String(rate).split("/").map(Number);
+  return numerator / denominator;
 };
 
 /**
- * Get video duration using ffmpeg
+ * Get video duration in seconds using ffprobe, null when it can't be read.
+ * Browser (MediaRecorder) WebM files often carry no container duration, the
+ * video stream's duration or frame count is used then.
  */
-const getVideoDuration = async (videoPath) => {
+export const getVideoDuration = async (videoPath) => {
   return new Promise((resolve, reject) => {
     ffmpeg.ffprobe(videoPath, (err, metadata) => {
-      if (err) reject(err);
-      resolve(metadata.format.duration);
+      if (err) return reject(err);
+      const stream = metadata.streams?.find(
+        (candidate) => candidate.codec_type === "video"
+      );
+      resolve(
+        positiveNumber(metadata.format?.duration) ??
+          positiveNumber(stream?.duration) ??
+          positiveNumber(
+            stream?.nb_frames /
+              parseFrameRate(stream?.avg_frame_rate || stream?.r_frame_rate)
+          )
+      );
     });
   });
 };
@@ -95,10 +135,10 @@ const getVideoDuration = async (videoPath) => {
 /**
  * Sample frames if we have too many
  */
-const sampleFrames = (frames) => {
-  if (frames.length <= CONFIG.MAX_FRAMES) return frames;
+const sampleFrames = (frames, maxFrames) => {
+  if (frames.length <= maxFrames) return frames;
 
-  const step = Math.ceil(frames.length / CONFIG.MAX_FRAMES);
+  const step = Math.ceil(frames.length / maxFrames);
   const sampledFrames = [];
 
   // Always include first and last frames
@@ -0,0 +1,393 @@
+// server/services/webhookService.js
+// Outbound webhooks so integrators need not poll reports. Every delivery is
+// logged, retried with backoff and can be sent again by hand.
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { WEBHOOK_EVENTS, WebhookDelivery, WebhookEndpoint } from "../models.js";
+import { createJobQueue, INSTANCE_ID, lockedBeforeStart } from "./jobQueue.js";
+import { finalScores } from "./reviewService.js";
+
+const WEBHOOK_CONFIG = {
+  TIMEOUT_MS: 10 * 1000,
+  LOCK_MS: 60 * 1000, // Claim on a delivery while it is being sent
+  DESCRIPTION_LIMIT: 200,
+  USER_AGENT: "srt-cb-webhooks/1",
+};
+
+// Loopback, private, link-local (cloud metadata) and other non-public
+// ranges. Endpoints must not reach the server's own network.
+const PRIVATE_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["224.0.0.0", 3, "ipv4"], // Multicast and reserved
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+];
+
+const privateAddresses = new net.BlockList();
+PRIVATE_RANGES.forEach(([address, prefix, type]) =>
+  privateAddresses.addSubnet(address, prefix, type)
+);
+
+// WEBHOOK_ALLOW_PRIVATE_URLS=true lets local development use a receiver on
+// localhost
+const allowPrivateUrls = () =>
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// BlockList also matches IPv4-mapped IPv6 addresses against IPv4 ranges
+const isPrivateAddress = (address) =>
+  !allowPrivateUrls() &&
+  privateAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const PRIVATE_ADDRESS_ERROR = "url must point to a public address";
+
+// dns.lookup that refuses private addresses, used for every connection so
+// a host re-pointed after registration is still refused
+const publicLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+    callback(null, address, family);
+  });
+
+// URL hostnames keep IPv6 literals in brackets
+const urlHost = (url) => url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+/**
+ * Check that a webhook URL resolves to public addresses only. Resolves
+ * with an error message for a 400 response, or undefined when allowed.
+ */
+export const checkWebhookUrl = async (value) => {
+  const host = urlHost(new URL(value));
+  try {
+    const addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true });
+    return addresses.some((entry) => isPrivateAddress(entry.address))
+      ? PRIVATE_ADDRESS_ERROR
+      : undefined;
+  } catch {
+    return `url host ${host} could not be resolved`;
+  }
+};
+
+// With the defaults a failing delivery is retried over about 15 minutes
+const deliveryQueue = createJobQueue({
+  concurrency: Number(process.env.WEBHOOK_CONCURRENCY) || 2,
+  maxRetries: Number(process.env.WEBHOOK_MAX_RETRIES ?? 5),
+  retryDelay: Number(process.env.WEBHOOK_RETRY_DELAY) || 30 * 1000,
+});
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(32).toString("hex")}`;
+
+/**
+ * HMAC-SHA256 of `${timestamp}.${body}`, hex. Receivers recompute it from
+ * the X-SRT-Signature timestamp and the raw request body.
+ */
+export const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Report fields sent with every event, scores as reviewed
+ */
+export const toWebhookSummary = (result) => {
+  const summary = {
+    reportId: result._id,
+    patientId: result.owner,
+    processingStatus: result.processingStatus,
+    scoringMode: result.scoringMode,
+    scoringProfile: result.scoringProfile,
+    timestamp: result.timestamp,
+    completedAt: result.completedAt,
+  };
+
+  if (result.processingStatus === "failed") {
+    summary.processingError = result.processingError;
+  }
+  if (result.processingStatus === "completed") {
+    const { sitScore, riseScore, totalScore, riskLevel, adjusted } =
+      finalScores(result);
+    summary.scores = { sitScore, riseScore, totalScore, riskLevel, adjusted };
+    summary.review = {
+      status: result.review?.status || "unreviewed",
+      reviewedBy: result.review?.reviewedBy,
+      reviewedAt: result.review?.reviewedAt,
+    };
+  }
+  return summary;
+};
+
+const isWebhookUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate an endpoint body. Returns { fields } holding only the fields
+ * given, or { error } for a 400 response. url and events are required
+ * unless `partial`.
+ */
+export const parseWebhookEndpoint = (body = {}, { partial = false } = {}) => {
+  const { url, events, description, active } = body;
+  const fields = {};
+
+  if (url !== undefined || !partial) {
+    if (typeof url !== "string" || !isWebhookUrl(url)) {
+      return { error: "url must be an http or https URL" };
+    }
+    fields.url = url;
+  }
+
+  if (events !== undefined || !partial) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((event) => WEBHOOK_EVENTS.includes(event))
+    ) {
+      return {
+        error: `events must list one or more of: ${WEBHOOK_EVENTS.join(", ")}`,
+      };
+    }
+    fields.events = [...new Set(events)];
+  }
+
+  if (description !== undefined) {
+    if (
+      typeof description !== "string" ||
+      description.length > WEBHOOK_CONFIG.DESCRIPTION_LIMIT
+    ) {
+      return {
+        error: `description must be text of at most ${WEBHOOK_CONFIG.DESCRIPTION_LIMIT} characters`,
+      };
+    }
+    fields.description = description;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== "boolean") {
+      return { error: "active must be true or false" };
+    }
+    fields.active = active;
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    return { error: "Nothing to change" };
+  }
+  return { fields };
+};
+
+/**
+ * POST a body to a public URL, resolves with the response status. The
+ * response body is discarded, it never reaches the delivery log.
+ */
+const postToEndpoint = (value, body, headers) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(value);
+    const host = urlHost(url);
+    // Literal addresses skip the lookup
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+
+    const request = (url.protocol === "https:" ? https : http).request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicLookup,
+        timeout: WEBHOOK_CONFIG.TIMEOUT_MS,
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("timeout", () =>
+      request.destroy(new Error("Endpoint did not respond in time"))
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * Claim a pending delivery for this instance, null when it was sent or
+ * another instance is sending it
+ */
+const claimDelivery = (deliveryId) =>
+  WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      status: "pending",
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: { $lt: new Date() } },
+      ],
+    },
+    {
+      lockedUntil: new Date(Date.now() + WEBHOOK_CONFIG.LOCK_MS),
+      lockedBy: INSTANCE_ID,
+    },
+    { new: true }
+  );
+
+/**
+ * Send one delivery. Throws on a network error or non-2xx response so the
+ * queue retries it, and while another instance holds it so the retry finds
+ * it sent or the claim expired.
+ */
+const sendDelivery = async ({ deliveryId }) => {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) {
+    if (await WebhookDelivery.exists({ _id: deliveryId, status: "pending" })) {
+      throw new Error("Delivery is being sent by another instance");
+    }
+    return;
+  }
+  delivery.lockedUntil = undefined;
+  delivery.lockedBy = undefined;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select(
+    "+secret"
+  );
+  if (!endpoint || !endpoint.active) {
+    delivery.status = "failed";
+    delivery.error = endpoint ? "Endpoint is disabled" : "Endpoint was removed";
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = {
+    lastAttemptAt: new Date(),
+    responseStatus: undefined,
+    error: undefined,
+  };
+
+  try {
+    // Redirects are not followed
+    attempt.responseStatus = await postToEndpoint(endpoint.url, body, {
+      "Content-Type": "application/json",
+      "User-Agent": WEBHOOK_CONFIG.USER_AGENT,
+      "X-SRT-Event": delivery.event,
+      "X-SRT-Delivery": String(delivery._id),
+      "X-SRT-Signature": `t=${timestamp},v1=${signPayload(
+        endpoint.secret,
+        timestamp,
+        body
+      )}`,
+    });
+    if (attempt.responseStatus < 200 || attempt.responseStatus >= 300) {
+      attempt.error = `Endpoint responded with ${attempt.responseStatus}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  Object.assign(delivery, attempt, { attempts: delivery.attempts + 1 });
+  if (!attempt.error) delivery.status = "succeeded";
+  await delivery.save();
+  if (attempt.error) throw new Error(attempt.error);
+};
+
+const markFailed = ({ deliveryId }) =>
+  WebhookDelivery.updateOne(
+    { _id: deliveryId, status: "pending" },
+    { status: "failed" }
+  );
+
+const enqueueDelivery = (deliveryId) =>
+  deliveryQueue.add(
+    `webhook ${deliveryId}`,
+    { deliveryId },
+    { handler: sendDelivery, onFailure: markFailed }
+  );
+
+/**
+ * Notify the result's organization endpoints subscribed to `event`.
+ * Never throws, webhooks must not fail the request or job raising them.
+ */
+export const publishWebhookEvent = async (event, result) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({
+      organization: result.organization,
+      events: event,
+      active: true,
+    });
+    if (endpoints.length === 0) return;
+
+    // One id per event, receivers can use it to drop repeats
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date(),
+      data: toWebhookSummary(result),
+    };
+    const deliveries = await WebhookDelivery.insertMany(
+      endpoints.map((endpoint) => ({
+        organization: endpoint.organization,
+        endpoint: endpoint._id,
+        event,
+        result: result._id,
+        payload,
+      }))
+    );
+    deliveries.forEach((delivery) => enqueueDelivery(delivery._id));
+  } catch (error) {
+    console.error(`Failed to publish webhook event ${event}:`, error);
+  }
+};
+
+/**
+ * Send a logged delivery again with its original payload, as a new
+ * delivery
+ */
+export const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    organization: delivery.organization,
+    endpoint: delivery.endpoint,
+    event: delivery.event,
+    result: delivery.result,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+  });
+  enqueueDelivery(copy._id);
+  return copy;
+};
+
+/**
+ * Re-queue deliveries left pending by a previous run. Every instance does
+ * this at startup, the claim in sendDelivery sends each one once. Claims
+ * this instance held before it stopped are released first.
+ */
+export const resumePendingDeliveries = async () => {
+  await WebhookDelivery.updateMany(
+    { status: "pending", ...lockedBeforeStart(WEBHOOK_CONFIG.LOCK_MS) },
+    { $unset: { lockedUntil: "", lockedBy: "" } }
+  );
+  const pending = await WebhookDelivery.find({ status: "pending" }, "_id");
+  pending.forEach((delivery) => enqueueDelivery(delivery._id));
+  if (pending.length > 0) {
+    console.log(`Resumed ${pending.length} pending webhook deliveries`);
+  }
+};
@@ -0,0 +1,255 @@
+// server/test/clinicalScoring.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  calculateClinicalScores,
+  DEDUCTION_TYPES,
+  detectClinicalSupports,
+} from "../services/clinicalScoring.js";
+import { getScoringProfile } from "../services/scoringProfiles.js";
+
+const config = getScoringProfile("standard", 1).clinical;
+
+// Side view, y grows downwards and the floor is at y = 1000
+const SEATED = {
+  nose: [400, 500],
+  shoulder: [400, 600],
+  elbow: [420, 750],
+  wrist: [450, 850],
+  hip: [400, 980],
+  knee: [550, 880],
+  ankle: [700, 1000],
+};
+const KNEELING = {
+  nose: [500, 300],
+  shoulder: [500, 400],
+  elbow: [500, 550],
+  wrist: [500, 650],
+  hip: [500, 700],
+  knee: [500, 990],
+  ankle: [350, 1000],
+};
+
+/**
+ * Pose from joint positions shared by both sides, `overrides` moves single
+ * keypoints: { left_wrist: [x, y] }
+ */
+const pose = (joints, overrides = {}) => ({
+  keypoints: [
+    { name: "nose", x: joints.nose[0], y: joints.nose[1], score: 0.9 },
+    ...Object.entries(joints)
+      .filter(([joint]) => joint !== "nose")
+      .flatMap(([joint, [x, y]]) =>
+        ["left", "right"].map((side) => ({
+          name: `${side}_${joint}`,
+          x,
+          y,
+          score: 0.9,
+        }))
+      ),
+  ].map((keypoint) =>
+    overrides[keypoint.name]
+      ? {
+          ...keypoint,
+          x: overrides[keypoint.name][0],
+          y: overrides[keypoint.name][1],
+        }
+      : keypoint
+  ),
+});
+
+const timeline = (poses) =>
+  poses.map((frame, index) => ({ ...frame, index, timestamp: index / 10 }));
+
+const repeat = (count, frame) => Array.from({ length: count }, () => frame);
+
+const LEFT_HAND_DOWN = pose(SEATED, { left_wrist: [300, 995] });
+const BOTH_HANDS_DOWN = pose(SEATED, {
+  left_wrist: [300, 995],
+  right_wrist: [320, 995],
+});
+
+describe("detectClinicalSupports", () => {
+  it("finds nothing while seated with the hands off the floor", () => {
+    assert.deepEqual(detectClinicalSupports(pose(SEATED), config), []);
+  });
+
+  it("reports each hand on the floor with its side", () => {
+    assert.deepEqual(detectClinicalSupports(BOTH_HANDS_DOWN, config), [
+      { type: DEDUCTION_TYPES.HAND, side: "left" },
+      { type: DEDUCTION_TYPES.HAND, side: "right" },
+    ]);
+  });
+
+  it("reports a forearm when the elbow is on the floor", () => {
+    const frame = pose(SEATED, {
+      left_elbow: [300, 990],
+      left_wrist: [250, 995],
+    });
+    assert.deepEqual(detectClinicalSupports(frame, config), [
+      { type: DEDUCTION_TYPES.FOREARM, side: "left" },
+    ]);
+  });
+
+  it("reports a hand resting on a knee", () => {
+    const frame = pose(SEATED, { right_wrist: [545, 875] });
+    assert.deepEqual(detectClinicalSupports(frame, config), [
+      { type: DEDUCTION_TYPES.HAND_ON_KNEE, side: "right" },
+    ]);
+  });
+
+  it("ignores knees on the floor while the hips are too", () => {
+    const crossLegged = pose(SEATED, {
+      left_knee: [550, 990],
+      right_knee: [560, 990],
+    });
+    assert.deepEqual(detectClinicalSupports(crossLegged, config), []);
+  });
+
+  it("reports both knees when kneeling", () => {
+    assert.deepEqual(detectClinicalSupports(pose(KNEELING), config), [
+      { type: DEDUCTION_TYPES.KNEE, side: "left" },
+      { type: DEDUCTION_TYPES.KNEE, side: "right" },
+    ]);
+  });
+
+  it("reports the side of the leg when the hip leans far off the knee", () => {
+    const frame = pose(KNEELING, { left_hip: [750, 700] });
+    assert.deepEqual(detectClinicalSupports(frame, config), [
+      { type: DEDUCTION_TYPES.SIDE_OF_LEG, side: "left" },
+      { type: DEDUCTION_TYPES.KNEE, side: "right" },
+    ]);
+  });
+});
+
+describe("calculateClinicalScores", () => {
+  it("scores a movement without supports 5 + 5", () => {
+    const scores = calculateClinicalScores(
+      timeline(repeat(10, pose(SEATED))),
+      4,
+      config
+    );
+    assert.deepEqual(scores, {
+      sitScore: 5,
+      riseScore: 5,
+      totalScore: 10,
+      deductions: [],
+    });
+  });
+
+  it("deducts a support in the phase it starts in", () => {
+    const frames = timeline([
+      ...repeat(2, pose(SEATED)),
+      ...repeat(3, LEFT_HAND_DOWN),
+      ...repeat(5, pose(SEATED)),
+    ]);
+    const scores = calculateClinicalScores(frames, 4, config);
+
+    assert.equal(scores.sitScore, 4);
+    assert.equal(scores.riseScore, 5);
+    assert.deepEqual(scores.deductions, [
+      {
+        type: DEDUCTION_TYPES.HAND,
+        side: "left",
+        points: -1,
+        phase: "sitting",
+        timestamp: 0.2,
+        frameIndex: 2,
+      },
+    ]);
+  });
+
+  it("deducts once per limb", () => {
+    const frames = timeline([
+      ...repeat(5, pose(SEATED)),
+      ...repeat(3, BOTH_HANDS_DOWN),
+      ...repeat(2, pose(SEATED)),
+    ]);
+    const scores = calculateClinicalScores(frames, 4, config);
+
+    assert.equal(scores.riseScore, 3);
+    assert.deepEqual(
+      scores.deductions.map(({ type, side, phase }) => [type, side, phase]),
+      [
+        ["hand", "left", "rising"],
+        ["hand", "right", "rising"],
+      ]
+    );
+  });
+
+  it("ignores a support seen in a single frame", () => {
+    const frames = timeline([
+      ...repeat(3, pose(SEATED)),
+      LEFT_HAND_DOWN,
+      ...repeat(6, pose(SEATED)),
+    ]);
+    assert.deepEqual(calculateClinicalScores(frames, 4, config).deductions, []);
+  });
+
+  it("continues a support across a short dropout", () => {
+    const frames = timeline([
+      ...repeat(2, LEFT_HAND_DOWN),
+      ...repeat(config.supportGapFrames, pose(SEATED)),
+      ...repeat(2, LEFT_HAND_DOWN),
+      ...repeat(4, pose(SEATED)),
+    ]);
+    assert.equal(
+      calculateClinicalScores(frames, 9, config).deductions.length,
+      1
+    );
+  });
+
+  it("counts a support again after a longer break", () => {
+    const frames = timeline([
+      ...repeat(2, LEFT_HAND_DOWN),
+      ...repeat(config.supportGapFrames + 1, pose(SEATED)),
+      ...repeat(2, LEFT_HAND_DOWN),
+      ...repeat(3, pose(SEATED)),
+    ]);
+    const scores = calculateClinicalScores(frames, 9, config);
+    assert.equal(scores.deductions.length, 2);
+    assert.equal(scores.sitScore, 3);
+  });
+
+  it("deducts half a point for a sudden sideways hip shift", () => {
+    const shifted = Object.fromEntries(
+      Object.entries(SEATED).map(([joint, [x, y]]) => [joint, [x + 100, y]])
+    );
+    const frames = timeline([
+      ...repeat(6, pose(SEATED)),
+      ...repeat(4, pose(shifted)),
+    ]);
+    const scores = calculateClinicalScores(frames, 4, config);
+
+    assert.equal(scores.riseScore, 4.5);
+    assert.deepEqual(scores.deductions, [
+      {
+        type: DEDUCTION_TYPES.UNSTEADINESS,
+        points: -0.5,
+        phase: "rising",
+        timestamp: 0.6,
+        frameIndex: 6,
+      },
+    ]);
+  });
+
+  it("never scores a phase below zero", () => {
+    const crawling = pose(KNEELING, {
+      left_wrist: [400, 995],
+      right_wrist: [420, 995],
+    });
+    const frames = timeline([
+      ...repeat(2, crawling),
+      ...repeat(config.supportGapFrames + 1, pose(SEATED)),
+      ...repeat(2, crawling),
+      ...repeat(3, pose(SEATED)),
+    ]);
+    const scores = calculateClinicalScores(frames, 6, config);
+
+    const sittingPoints = scores.deductions
+      .filter((deduction) => deduction.phase === "sitting")
+      .reduce((sum, deduction) => sum + deduction.points, 0);
+    assert.ok(sittingPoints < -config.maxPhaseScore);
+    assert.equal(scores.sitScore, 0);
+  });
+});
@@ -0,0 +1,42 @@
+// server/test/normativeData.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  findNormativeBand,
+  scorePercentile,
+} from "../services/normativeData.js";
+
+describe("findNormativeBand", () => {
+  it("finds the band for an age and sex", () => {
+    assert.equal(findNormativeBand(65, "male").label, "60-69");
+    assert.equal(findNormativeBand(25, "female").label, "<30");
+    assert.equal(findNormativeBand(92, "female").label, "80+");
+  });
+
+  it("has no band when the age or sex is unknown", () => {
+    assert.equal(findNormativeBand(65, "other"), null);
+    assert.equal(findNormativeBand(undefined, "male"), null);
+    assert.equal(findNormativeBand(NaN, "male"), null);
+  });
+});
+
+describe("scorePercentile", () => {
+  const band = findNormativeBand(65, "male"); // 3, 4.5, 5.5, 6.5, 7.5
+
+  it("returns the tabulated percentile for a tabulated score", () => {
+    assert.equal(scorePercentile(3, band), 10);
+    assert.equal(scorePercentile(5.5, band), 50);
+    assert.equal(scorePercentile(7.5, band), 90);
+  });
+
+  it("interpolates between tabulated scores", () => {
+    assert.equal(scorePercentile(6, band), 63);
+    assert.equal(scorePercentile(1.5, band), 5);
+    assert.equal(scorePercentile(8.75, band), 95);
+  });
+
+  it("runs from 0 to 100 over the score range", () => {
+    assert.equal(scorePercentile(0, band), 0);
+    assert.equal(scorePercentile(10, band), 100);
+  });
+});
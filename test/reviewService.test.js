@@ -0,0 +1,214 @@
+// server/test/reviewService.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import mongoose from "mongoose";
+import { SRTResult } from "../models.js";
+import {
+  applyReviewChanges,
+  finalScores,
+  parseReviewChanges,
+} from "../services/reviewService.js";
+
+const reviewer = new mongoose.Types.ObjectId();
+
+// Automated 3 + 3.5: a hand on each side while sitting, a knee and a
+// wobble while rising
+const scoredResult = (fields = {}) =>
+  new SRTResult({
+    sitScore: 3,
+    riseScore: 3.5,
+    totalScore: 6.5,
+    riskLevel: "moderate",
+    scoringProfile: { id: "standard", version: 1 },
+    deductions: [
+      {
+        type: "hand",
+        side: "left",
+        points: -1,
+        phase: "sitting",
+        frameIndex: 4,
+      },
+      {
+        type: "hand",
+        side: "right",
+        points: -1,
+        phase: "sitting",
+        frameIndex: 4,
+      },
+      {
+        type: "knee",
+        side: "left",
+        points: -1,
+        phase: "rising",
+        frameIndex: 12,
+      },
+      { type: "balance", points: -0.5, phase: "rising", frameIndex: 15 },
+    ],
+    ...fields,
+  });
+
+const review = (result, body) => {
+  const { changes, error } = parseReviewChanges(result, {
+    reason: "Checked against the recording",
+    ...body,
+  });
+  assert.equal(error, undefined);
+  return applyReviewChanges(result, changes, { reviewedBy: reviewer });
+};
+
+describe("finalScores", () => {
+  it("returns the automated scores of an unreviewed result", () => {
+    const result = scoredResult();
+    const scores = finalScores(result);
+
+    assert.equal(scores.adjusted, false);
+    assert.equal(scores.totalScore, 6.5);
+    assert.equal(scores.riskLevel, "moderate");
+    assert.equal(scores.deductions, result.deductions);
+  });
+
+  it("uses an overridden phase score as given", () => {
+    const result = review(scoredResult(), { sitScore: 5 });
+    const scores = finalScores(result);
+
+    assert.equal(scores.adjusted, true);
+    assert.equal(scores.sitScore, 5);
+    assert.equal(scores.riseScore, 3.5);
+    assert.equal(scores.totalScore, 8.5);
+    assert.equal(scores.riskLevel, "low");
+  });
+
+  it("keeps the override when deductions change in that phase", () => {
+    const result = review(scoredResult(), {
+      sitScore: 4,
+      addDeductions: [{ type: "forearm", phase: "sitting", side: "left" }],
+    });
+    assert.equal(finalScores(result).sitScore, 4);
+  });
+
+  it("subtracts added deductions", () => {
+    const result = review(scoredResult(), {
+      addDeductions: [
+        { type: "hand_on_knee", phase: "rising", side: "right" },
+        { type: "balance", phase: "rising" },
+      ],
+    });
+    const scores = finalScores(result);
+
+    assert.equal(scores.riseScore, 2);
+    assert.equal(scores.totalScore, 5);
+    assert.equal(scores.riskLevel, "high");
+    assert.equal(scores.deductions.length, 6);
+    assert.equal(scores.deductions[4].side, "right");
+  });
+
+  it("restores only the side whose deduction was removed", () => {
+    const result = review(scoredResult(), {
+      removeDeductions: [
+        { type: "hand", phase: "sitting", frameIndex: 4, side: "right" },
+      ],
+    });
+    const scores = finalScores(result);
+
+    assert.equal(scores.sitScore, 4);
+    assert.deepEqual(
+      scores.deductions
+        .filter((deduction) => deduction.type === "hand")
+        .map((deduction) => deduction.side),
+      ["left"]
+    );
+  });
+
+  it("removes one limb at a time when no side is given", () => {
+    const result = review(scoredResult(), {
+      removeDeductions: [{ type: "hand", phase: "sitting", frameIndex: 4 }],
+    });
+    assert.equal(finalScores(result).sitScore, 4);
+
+    review(result, {
+      removeDeductions: [{ type: "hand", phase: "sitting", frameIndex: 4 }],
+    });
+    assert.equal(finalScores(result).sitScore, 5);
+    assert.deepEqual(
+      result.review.removedDeductions.map((deduction) => deduction.side),
+      ["left", "right"]
+    );
+  });
+
+  it("drops a removed clinician deduction again", () => {
+    const result = review(scoredResult(), {
+      addDeductions: [{ type: "knee", phase: "rising", side: "right" }],
+    });
+    assert.equal(finalScores(result).riseScore, 2.5);
+
+    const [added] = result.review.addedDeductions;
+    review(result, { removeDeductions: [{ id: String(added._id) }] });
+    assert.equal(finalScores(result).riseScore, 3.5);
+    assert.equal(result.review.addedDeductions.length, 0);
+  });
+
+  it("keeps each phase within 0 and the maximum", () => {
+    const result = review(scoredResult(), {
+      addDeductions: [{ type: "hand", phase: "rising", points: 5 }],
+      removeDeductions: [
+        { type: "hand", phase: "sitting", frameIndex: 4, side: "left" },
+        { type: "hand", phase: "sitting", frameIndex: 4, side: "right" },
+      ],
+    });
+    result.sitScore = 4.5; // A re-score meanwhile found fewer supports
+    const scores = finalScores(result);
+
+    assert.equal(scores.sitScore, 5);
+    assert.equal(scores.riseScore, 0);
+  });
+
+  it("rates the risk against the demographic band", () => {
+    const result = review(
+      scoredResult({ demographics: { age: 75, sex: "female" } }),
+      { riseScore: 3.5 }
+    );
+    const scores = finalScores(result);
+
+    assert.equal(scores.riskLevel, "low");
+    assert.equal(scores.normative.basis, "age-sex");
+    assert.equal(scores.normative.ageBand, "70-79");
+  });
+});
+
+describe("parseReviewChanges", () => {
+  it("requires a reason to change scores", () => {
+    assert.equal(
+      parseReviewChanges(scoredResult(), { sitScore: 4 }).error,
+      "A reason is required when changing scores"
+    );
+  });
+
+  it("rejects an unknown side", () => {
+    assert.match(
+      parseReviewChanges(scoredResult(), {
+        reason: "Seen on video",
+        addDeductions: [{ type: "hand", phase: "rising", side: "both" }],
+      }).error,
+      /side must be one of: left, right/
+    );
+  });
+
+  it("rejects removing a deduction that is not there", () => {
+    assert.match(
+      parseReviewChanges(scoredResult(), {
+        reason: "Seen on video",
+        removeDeductions: [
+          { type: "knee", phase: "rising", frameIndex: 12, side: "right" },
+        ],
+      }).error,
+      /Deduction to remove not found/
+    );
+  });
+
+  it("rejects an override above the maximum", () => {
+    assert.match(
+      parseReviewChanges(scoredResult(), { reason: "x", riseScore: 6 }).error,
+      /riseScore must be a number from 0 to 5/
+    );
+  });
+});
@@ -0,0 +1,72 @@
+// server/test/riskService.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { assessRiskLevel, stratifyRisk } from "../services/riskService.js";
+
+describe("assessRiskLevel", () => {
+  it("bands the total score", () => {
+    assert.equal(assessRiskLevel(10), "low");
+    assert.equal(assessRiskLevel(8), "low");
+    assert.equal(assessRiskLevel(7.5), "moderate");
+    assert.equal(assessRiskLevel(6), "moderate");
+    assert.equal(assessRiskLevel(5.5), "high");
+    assert.equal(assessRiskLevel(NaN), null);
+  });
+});
+
+describe("stratifyRisk", () => {
+  it("uses the fixed cut-offs without demographics", () => {
+    assert.deepEqual(stratifyRisk(7), {
+      riskLevel: "moderate",
+      normative: { basis: "absolute" },
+    });
+  });
+
+  it("rates a score typical for the age band low", () => {
+    assert.deepEqual(stratifyRisk(6.5, { age: 75, sex: "female" }), {
+      riskLevel: "low",
+      normative: {
+        basis: "age-sex",
+        percentile: 91,
+        ageBand: "70-79",
+        sex: "female",
+      },
+    });
+  });
+
+  it("rates a score below the 25th percentile moderate", () => {
+    const { riskLevel, normative } = stratifyRisk(6.5, {
+      age: 35,
+      sex: "male",
+    });
+    assert.equal(normative.percentile, 18);
+    assert.equal(riskLevel, "moderate");
+  });
+
+  it("rates a score below the 10th percentile high", () => {
+    const { riskLevel, normative } = stratifyRisk(5.5, {
+      age: 35,
+      sex: "male",
+    });
+    assert.equal(normative.percentile, 9);
+    assert.equal(riskLevel, "high");
+  });
+
+  it("rates a total below 6 at least moderate whatever the percentile", () => {
+    const { riskLevel, normative } = stratifyRisk(5, {
+      age: 75,
+      sex: "female",
+    });
+    assert.equal(normative.percentile, 75);
+    assert.equal(riskLevel, "moderate");
+  });
+
+  it("rates a total of 3 or less high whatever the percentile", () => {
+    const { riskLevel, normative } = stratifyRisk(3, {
+      age: 85,
+      sex: "female",
+    });
+    assert.ok(normative.percentile >= 25);
+    assert.equal(riskLevel, "high");
+  });
+});
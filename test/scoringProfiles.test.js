@@ -0,0 +1,128 @@
+// server/test/scoringProfiles.test.js
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, describe, it } from "node:test";
+
+const bundled = JSON.parse(
+  fs.readFileSync("config/scoringProfiles.json", "utf8")
+);
+const standard = bundled.profiles.find((profile) => profile.id === "standard");
+
+// The profiles file is read once, point it at a copy with a second version
+const tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), "srt-profiles-"));
+process.env.SCORING_PROFILES_PATH = path.join(tempDir, "profiles.json");
+await fsp.writeFile(
+  process.env.SCORING_PROFILES_PATH,
+  JSON.stringify({
+    defaultProfile: "standard",
+    profiles: [
+      standard,
+      { ...standard, version: 2, description: "Stricter supports" },
+      { ...standard, id: "research", version: 1 },
+    ],
+  })
+);
+const {
+  getDefaultProfileId,
+  getScoringProfile,
+  listScoringProfiles,
+  validateProfiles,
+} = await import("../services/scoringProfiles.js");
+
+after(() => fsp.rm(tempDir, { recursive: true, force: true }));
+
+const problems = (config) => {
+  try {
+    validateProfiles(config);
+  } catch (error) {
+    return error.message
+      .split("\n")
+      .slice(1)
+      .map((line) => line.trim());
+  }
+  return [];
+};
+
+describe("validateProfiles", () => {
+  it("accepts the bundled profiles", () => {
+    assert.equal(validateProfiles(bundled), bundled);
+  });
+
+  it("rejects a file without a profiles array", () => {
+    assert.throws(
+      () => validateProfiles({ defaultProfile: "standard" }),
+      /must have a profiles array/
+    );
+  });
+
+  it("lists every problem at once", () => {
+    const broken = structuredClone(standard);
+    delete broken.clinical.sideLean;
+    broken.clinical.swayVelocity = -1;
+    broken.scoring.supportPenalties.hand = "1";
+    broken.extraction.fps = 5;
+    broken.version = 1.5;
+
+    assert.deepEqual(
+      problems({ defaultProfile: "standard", profiles: [broken] }),
+      [
+        "profiles[0].version: must be a positive integer",
+        "profiles[0].scoring.supportPenalties.hand: must be a non-negative number",
+        "profiles[0].clinical.sideLean: must be a non-negative number",
+        "profiles[0].clinical.swayVelocity: must be a non-negative number",
+        "profiles[0].extraction.fps: unknown setting",
+      ]
+    );
+  });
+
+  it("rejects a missing section", () => {
+    const withoutClinical = { ...standard, clinical: undefined };
+    assert.deepEqual(
+      problems({ defaultProfile: "standard", profiles: [withoutClinical] }),
+      ["profiles[0].clinical: must be an object"]
+    );
+  });
+
+  it("rejects the same id and version twice", () => {
+    assert.deepEqual(
+      problems({ defaultProfile: "standard", profiles: [standard, standard] }),
+      ["profiles[1]: duplicate profile standard@1"]
+    );
+  });
+
+  it("rejects a default profile that does not exist", () => {
+    assert.deepEqual(
+      problems({ defaultProfile: "missing", profiles: [standard] }),
+      ['defaultProfile: no profile named "missing"']
+    );
+  });
+});
+
+describe("getScoringProfile", () => {
+  afterEach(() => delete process.env.SCORING_PROFILE);
+
+  it("returns the latest version unless one is asked for", () => {
+    assert.equal(getScoringProfile("standard").version, 2);
+    assert.equal(getScoringProfile("standard", 1).version, 1);
+    assert.equal(getScoringProfile("standard", 3), null);
+    assert.equal(getScoringProfile("missing"), null);
+  });
+
+  it("defaults to SCORING_PROFILE when it names a profile", () => {
+    assert.equal(getDefaultProfileId(), "standard");
+    process.env.SCORING_PROFILE = "research";
+    assert.equal(getScoringProfile().id, "research");
+    process.env.SCORING_PROFILE = "missing";
+    assert.equal(getDefaultProfileId(), "standard");
+  });
+
+  it("lists every version", () => {
+    assert.deepEqual(
+      listScoringProfiles().map(({ id, version }) => `${id}@${version}`),
+      ["standard@1", "standard@2", "research@1"]
+    );
+  });
+});
@@ -0,0 +1,143 @@
+// server/test/storage.test.js
+// Contract every storage driver must meet. The S3 driver runs when
+// S3_ENDPOINT and S3_BUCKET point at a test bucket, MinIO for example:
+//   S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true \
+//   S3_BUCKET=srt-test S3_ACCESS_KEY_ID=... S3_SECRET_ACCESS_KEY=... npm test
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { after, before, describe, it } from "node:test";
+import { createLocalStorage } from "../services/localStorage.js";
+import { createS3Storage } from "../services/s3Storage.js";
+
+const CONTENT = "0123456789abcdefghij";
+
+const readText = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString();
+};
+
+const describeStorageContract = (name, createStorage, options) =>
+  describe(`${name} storage`, options, () => {
+    // Every run writes below its own prefix
+    const prefix = `storage-test-${crypto.randomUUID()}/`;
+    let storage;
+    let sourcePath;
+
+    before(async () => {
+      storage = await createStorage();
+      sourcePath = path.join(os.tmpdir(), `srt-${crypto.randomUUID()}.txt`);
+      await fsp.writeFile(sourcePath, CONTENT);
+    });
+
+    after(async () => {
+      await storage?.removePrefix(prefix);
+      await fsp.rm(sourcePath, { force: true });
+    });
+
+    it("stores a file and reads it back", async () => {
+      const key = `${prefix}file.txt`;
+      await storage.putFile(key, sourcePath, { contentType: "text/plain" });
+
+      assert.equal(await readText(await storage.getStream(key)), CONTENT);
+      const stat = await storage.stat(key);
+      assert.equal(stat.size, CONTENT.length);
+      assert.ok(stat.lastModified instanceof Date);
+    });
+
+    it("stores a stream", async () => {
+      const key = `${prefix}stream.txt`;
+      await storage.putStream(key, Readable.from([Buffer.from(CONTENT)]), {
+        contentLength: CONTENT.length,
+      });
+
+      assert.equal(await readText(await storage.getStream(key)), CONTENT);
+    });
+
+    it("reads an inclusive byte range", async () => {
+      const key = `${prefix}range.txt`;
+      await storage.putFile(key, sourcePath);
+
+      const range = await storage.getStream(key, { start: 2, end: 5 });
+      assert.equal(await readText(range), "2345");
+      const rest = await storage.getStream(key, { start: 15 });
+      assert.equal(await readText(rest), "fghij");
+    });
+
+    it("copies an object to a local file", async () => {
+      const key = `${prefix}local.mp4`;
+      await storage.putFile(key, sourcePath);
+
+      const file = await storage.toLocalFile(key);
+      try {
+        assert.equal(await fsp.readFile(file.path, "utf8"), CONTENT);
+      } finally {
+        await file.cleanup();
+      }
+    });
+
+    it("lists the objects under a prefix", async () => {
+      const listPrefix = `${prefix}list/`;
+      await storage.putFile(`${listPrefix}a.txt`, sourcePath);
+      await storage.putFile(`${listPrefix}nested/b.txt`, sourcePath);
+
+      const objects = await storage.list(listPrefix);
+      assert.deepEqual(objects.map((object) => object.key).sort(), [
+        `${listPrefix}a.txt`,
+        `${listPrefix}nested/b.txt`,
+      ]);
+      assert.ok(objects.every((object) => object.size === CONTENT.length));
+    });
+
+    it("deletes an object", async () => {
+      const key = `${prefix}delete.txt`;
+      await storage.putFile(key, sourcePath);
+      await storage.remove(key);
+
+      assert.equal(await storage.stat(key), null);
+      // Deleting a missing object is not an error
+      await storage.remove(key);
+    });
+
+    it("deletes everything under a prefix", async () => {
+      const removePrefix = `${prefix}remove/`;
+      await storage.putFile(`${removePrefix}a.txt`, sourcePath);
+      await storage.putFile(`${removePrefix}nested/b.txt`, sourcePath);
+      await storage.removePrefix(removePrefix);
+
+      assert.deepEqual(await storage.list(removePrefix), []);
+    });
+
+    it("reports a missing object", async () => {
+      assert.equal(await storage.stat(`${prefix}missing.txt`), null);
+    });
+  });
+
+let localRoot;
+describeStorageContract("local", async () => {
+  localRoot = await fsp.mkdtemp(path.join(os.tmpdir(), "srt-storage-"));
+  return createLocalStorage({ root: localRoot });
+});
+after(() => localRoot && fsp.rm(localRoot, { recursive: true, force: true }));
+
+describeStorageContract(
+  "s3",
+  () =>
+    createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    }),
+  {
+    skip:
+      !(process.env.S3_ENDPOINT && process.env.S3_BUCKET) &&
+      "set S3_ENDPOINT and S3_BUCKET to run against MinIO",
+  }
+);
@@ -0,0 +1,83 @@
+// server/test/trendService.test.js
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { computeTrends } from "../services/trendService.js";
+
+const session = (reportId, timestamp, totalScore, fields = {}) => ({
+  reportId,
+  timestamp: new Date(timestamp),
+  totalScore,
+  ...fields,
+});
+
+describe("computeTrends", () => {
+  it("flags a drop of at least one point between consecutive sessions", () => {
+    const trends = computeTrends([
+      session("a", "2024-01-01", 8),
+      session("b", "2024-02-01", 7.5),
+      session("c", "2024-03-01", 6.5),
+      session("d", "2024-04-01", 6),
+    ]);
+
+    assert.equal(trends.meaningfulDropThreshold, 1);
+    assert.deepEqual(trends.flags, [
+      {
+        type: "SIGNIFICANT_DROP",
+        fromReportId: "b",
+        toReportId: "c",
+        fromTimestamp: new Date("2024-02-01"),
+        toTimestamp: new Date("2024-03-01"),
+        drop: 1,
+      },
+    ]);
+  });
+
+  it("does not flag a slow decline or an improvement", () => {
+    const trends = computeTrends([
+      session("a", "2024-01-01", 8),
+      session("b", "2024-02-01", 7.5),
+      session("c", "2024-03-01", 7),
+      session("d", "2024-04-01", 9),
+    ]);
+    assert.deepEqual(trends.flags, []);
+  });
+
+  it("reports the change and monthly slope of each metric", () => {
+    const trends = computeTrends([
+      session("a", "2024-01-01", 9, { sitScore: 5 }),
+      session("b", "2024-01-31", 8, { sitScore: 4.5 }),
+      session("c", "2024-03-01", 7, { sitScore: 4 }),
+    ]);
+
+    assert.equal(trends.sessionCount, 3);
+    assert.deepEqual(trends.metrics.totalScore, {
+      baseline: 9,
+      latest: 7,
+      changeSinceBaseline: -2,
+      slopePerMonth: -1,
+    });
+    assert.equal(trends.metrics.sitScore.slopePerMonth, -0.5);
+  });
+
+  it("leaves the slope out when it cannot be measured", () => {
+    const single = computeTrends([session("a", "2024-01-01", 9)]);
+    assert.equal(single.metrics.totalScore.slopePerMonth, null);
+    assert.equal(single.metrics.totalScore.changeSinceBaseline, 0);
+
+    const sameDay = computeTrends([
+      session("a", "2024-01-01T09:00:00Z", 9),
+      session("b", "2024-01-01T09:00:00Z", 8),
+    ]);
+    assert.equal(sameDay.metrics.totalScore.slopePerMonth, null);
+  });
+
+  it("reports a metric no session has as unknown", () => {
+    const trends = computeTrends([session("a", "2024-01-01", 9)]);
+    assert.deepEqual(trends.metrics.balance, {
+      baseline: null,
+      latest: null,
+      changeSinceBaseline: null,
+      slopePerMonth: null,
+    });
+  });
+});
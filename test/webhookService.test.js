@@ -0,0 +1,208 @@
+// server/test/webhookService.test.js
+// Deliveries against a local HTTP receiver. The delivery log is kept in
+// memory, no database is needed.
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { WebhookDelivery, WebhookEndpoint } from "../models.js";
+
+// Fast retries, read when the service is loaded
+process.env.WEBHOOK_RETRY_DELAY = "10";
+process.env.WEBHOOK_MAX_RETRIES = "2";
+const { checkWebhookUrl, redeliver, resumePendingDeliveries, signPayload } =
+  await import("../services/webhookService.js");
+
+const SECRET = "whsec_test";
+
+const deliveries = new Map();
+let endpoint;
+
+WebhookDelivery.prototype.save = async function () {
+  deliveries.set(String(this._id), this);
+  return this;
+};
+WebhookDelivery.create = async (fields) => new WebhookDelivery(fields).save();
+WebhookDelivery.find = async (filter) =>
+  [...deliveries.values()].filter(
+    (delivery) => delivery.status === filter.status
+  );
+WebhookDelivery.exists = async ({ _id, status }) =>
+  deliveries.get(String(_id))?.status === status;
+WebhookDelivery.updateMany = async () => {};
+WebhookDelivery.updateOne = async ({ _id, status }, update) => {
+  const delivery = deliveries.get(String(_id));
+  if (delivery?.status === status) Object.assign(delivery, update);
+};
+WebhookDelivery.findOneAndUpdate = async ({ _id }, update) => {
+  const delivery = deliveries.get(String(_id));
+  if (
+    !delivery ||
+    delivery.status !== "pending" ||
+    delivery.lockedUntil > new Date()
+  ) {
+    return null;
+  }
+  return Object.assign(delivery, update);
+};
+WebhookEndpoint.findById = () => ({ select: async () => endpoint });
+
+// Receiver answering with `status`, keeps every request it gets
+const receiver = { status: 200, requests: [] };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    receiver.requests.push({ headers: req.headers, body });
+    res.writeHead(receiver.status).end("receiver body");
+  });
+});
+
+const settled = async (delivery) => {
+  for (let i = 0; i < 200; i++) {
+    const current = deliveries.get(String(delivery._id));
+    if (current.status !== "pending") return current;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("Delivery never settled");
+};
+
+const queueDelivery = (fields = {}) =>
+  WebhookDelivery.create({
+    organization: endpoint.organization,
+    endpoint: endpoint._id,
+    event: "analysis.completed",
+    payload: { id: crypto.randomUUID(), event: "analysis.completed" },
+    ...fields,
+  }).then(async (delivery) => {
+    await resumePendingDeliveries();
+    return delivery;
+  });
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+  deliveries.clear();
+  receiver.status = 200;
+  receiver.requests = [];
+  endpoint = new WebhookEndpoint({
+    organization: new WebhookEndpoint()._id,
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    events: ["analysis.completed"],
+    secret: SECRET,
+  });
+});
+
+describe("signPayload", () => {
+  it("is the HMAC-SHA256 of timestamp and body", () => {
+    const expected = crypto
+      .createHmac("sha256", SECRET)
+      .update('1700000000.{"a":1}')
+      .digest("hex");
+    assert.equal(signPayload(SECRET, 1700000000, '{"a":1}'), expected);
+  });
+});
+
+describe("deliveries", () => {
+  it("sends a signature the receiver can verify", async () => {
+    const delivery = await settled(await queueDelivery());
+
+    assert.equal(delivery.status, "succeeded");
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(delivery.responseBody, undefined);
+
+    const [{ headers, body }] = receiver.requests;
+    assert.equal(headers["x-srt-event"], "analysis.completed");
+    assert.equal(headers["x-srt-delivery"], String(delivery._id));
+    assert.deepEqual(JSON.parse(body), delivery.payload);
+
+    const [, timestamp, signature] = headers["x-srt-signature"].match(
+      /^t=(\d+),v1=([0-9a-f]{64})$/
+    );
+    assert.equal(signature, signPayload(SECRET, timestamp, body));
+  });
+
+  it("retries a non-2xx response, then marks the delivery failed", async () => {
+    receiver.status = 500;
+    const delivery = await settled(await queueDelivery());
+
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.error, "Endpoint responded with 500");
+    assert.equal(receiver.requests.length, 3);
+  });
+
+  it("retries a delivery another instance holds once its claim expires", async () => {
+    const delivery = await settled(
+      await queueDelivery({
+        lockedUntil: new Date(Date.now() + 15),
+        lockedBy: "other-instance",
+      })
+    );
+
+    assert.equal(delivery.status, "succeeded");
+    assert.equal(receiver.requests.length, 1);
+  });
+
+  it("refuses a receiver on a private address", async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    const delivery = await settled(await queueDelivery());
+
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.error, "url must point to a public address");
+    assert.equal(receiver.requests.length, 0);
+  });
+
+  it("redelivers the original payload as a new delivery", async () => {
+    const original = await settled(await queueDelivery());
+    const copy = await settled(await redeliver(original));
+
+    assert.equal(copy.status, "succeeded");
+    assert.equal(String(copy.redeliveryOf), String(original._id));
+    assert.notEqual(String(copy._id), String(original._id));
+
+    const [first, second] = receiver.requests;
+    assert.equal(second.body, first.body);
+    assert.equal(second.headers["x-srt-delivery"], String(copy._id));
+  });
+});
+
+describe("checkWebhookUrl", () => {
+  beforeEach(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS);
+
+  for (const url of [
+    "http://127.0.0.1/hooks",
+    "http://localhost/hooks",
+    "http://10.1.2.3/hooks",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hooks",
+    "http://[::ffff:127.0.0.1]/hooks",
+    "http://[::ffff:a9fe:a9fe]/hooks",
+    "http://[fd00::1]/hooks",
+  ]) {
+    it(`refuses ${url}`, async () => {
+      assert.equal(
+        await checkWebhookUrl(url),
+        "url must point to a public address"
+      );
+    });
+  }
+
+  it("allows a public address", async () => {
+    assert.equal(
+      await checkWebhookUrl("https://93.184.215.14/hooks"),
+      undefined
+    );
+  });
+
+  it("allows private addresses when WEBHOOK_ALLOW_PRIVATE_URLS is set", async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+    assert.equal(await checkWebhookUrl("http://127.0.0.1/hooks"), undefined);
+  });
+});